@@ -0,0 +1,200 @@
+/**
+ * Attachment with aging: an element's attractiveness is its kernel weight
+ * multiplied by a decay function of its age,
+ *
+ *   weight_i(t) = kernel(k_i, i) * decay(t - t_i)
+ *
+ * where t_i is the step the element was born at. Elements are first drawn
+ * the step after their birth, at age 1.
+ * Power-law aging age^-nu is the Dorogovtsev–Mendes model: for nu < 1 the
+ * degree distribution stays a power law with a steeper exponent, and for
+ * nu > 1 it loses its heavy tail. Exponential decay keeps old elements from
+ * growing indefinitely, which truncates the tail.
+ *
+ * Every weight changes every step, so sampling scans all elements.
+ */
+
+const { rngFromArgs } = require("./random");
+const { linearKernel } = require("./attachment_kernels");
+
+/**
+ * Dorogovtsev–Mendes power-law aging
+ * @param {number} nu - Aging exponent, >= 0
+ * @returns {Function} - Decay (age) => age^-nu
+ */
+function powerLawAging(nu) {
+  if (!(nu >= 0)) {
+    throw new RangeError(`Aging exponent must be >= 0, got ${nu}`);
+  }
+  return (age) => Math.pow(age, -nu);
+}
+
+/**
+ * Exponential attention decay
+ * @param {number} lifetime - Age at which attractiveness has fallen by a factor e
+ * @returns {Function} - Decay (age) => e^(-age / lifetime)
+ */
+function exponentialAging(lifetime) {
+  if (!(lifetime > 0)) {
+    throw new RangeError(`Lifetime must be positive, got ${lifetime}`);
+  }
+  return (age) => Math.exp(-age / lifetime);
+}
+
+/**
+ * Samples an index with probability proportional to kernel weight times decay
+ * @param {number[]} counts - Current counts
+ * @param {number[]} births - Step each element was born at
+ * @param {number} time - Current step, after every element's birth step
+ * @param {Function} decay - Decay function of age
+ * @param {Function} kernel - Attachment kernel (count, index) => weight (default: linearKernel)
+ * @param {Function} rng - Random number generator returning [0, 1) (default: Math.random)
+ * @returns {number} - Selected index
+ */
+function sampleAgingAttachment(
+  counts,
+  births,
+  time,
+  decay,
+  kernel = linearKernel,
+  rng = Math.random
+) {
+  const weights = counts.map(
+    (count, i) => kernel(count, i) * decay(time - births[i])
+  );
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+
+  // Fall back to uniform once every element has decayed to nothing
+  if (!(totalWeight > 0)) return Math.floor(rng() * counts.length);
+
+  let target = rng() * totalWeight;
+  for (let i = 0; i < weights.length; i++) {
+    target -= weights[i];
+    if (target < 0) return i;
+  }
+  return weights.length - 1;
+}
+
+/**
+ * Growing attachment process with aging, following generateKernelPreferential:
+ * every step attaches once, then adds a new element with the given probability
+ * @param {Function} decay - Decay function of age, e.g. powerLawAging(0.5)
+ * @param {number} steps - Number of growth steps (default: 1000)
+ * @param {number} newElementProbability - Probability of adding new element (default: 0.1)
+ * @param {Object} options - Optional settings
+ * @param {Function} options.kernel - Attachment kernel (default: linearKernel)
+ * @param {number} options.xMin - Initial number of elements (default: 1)
+ * @param {Function} options.rng - Random number generator (default: Math.random)
+ * @returns {Object} - counts and births (step each element was born at)
+ */
+function generateAgingPreferential(
+  decay,
+  steps = 1000,
+  newElementProbability = 0.1,
+  { kernel = linearKernel, xMin = 1, rng = Math.random } = {}
+) {
+  const counts = Array(Math.floor(xMin)).fill(1);
+  const births = Array(counts.length).fill(0);
+
+  // Ages are whole steps, so each decay value is computed once
+  const decayByAge = [];
+  const cachedDecay = (age) => {
+    if (decayByAge[age] === undefined) decayByAge[age] = decay(age);
+    return decayByAge[age];
+  };
+
+  for (let step = 1; step <= steps; step++) {
+    if (counts.length > 0) {
+      const i = sampleAgingAttachment(
+        counts,
+        births,
+        step,
+        cachedDecay,
+        kernel,
+        rng
+      );
+      counts[i]++;
+    }
+
+    // Occasionally add new elements
+    if (rng() < newElementProbability) {
+      counts.push(1);
+      births.push(step);
+    }
+  }
+
+  return { counts, births };
+}
+
+function main() {
+  const { fitPowerLaw, canFitPowerLaw } = require("./power_law_fit");
+  const { compareDistributions } = require("./distribution_comparison");
+
+  const rng = rngFromArgs();
+  console.log(`Seed: ${rng.seed}\n`);
+
+  const steps = 20000;
+  const newElementProbability = 0.1;
+  console.log(
+    `=== Aging: ${steps.toLocaleString()} steps, new element probability ${newElementProbability} ===`
+  );
+  console.log(
+    `${"Decay".padEnd(31)} ${"Elements".padStart(8)} ${"Max".padStart(
+      6
+    )} ${"alpha".padStart(6)} ${"xmin".padStart(5)} ${"cutoff".padStart(
+      9
+    )} ${"p".padStart(7)}  vs cutoff`
+  );
+
+  const models = [
+    ["none", () => 1],
+    ["power law age^-0.5", powerLawAging(0.5)],
+    ["power law age^-1", powerLawAging(1)],
+    ["power law age^-2", powerLawAging(2)],
+    ["exponential, lifetime 2000", exponentialAging(2000)],
+    ["exponential, lifetime 200", exponentialAging(200)],
+    ["user supplied 1 / log(e + age)", (age) => 1 / Math.log(Math.E + age)],
+  ];
+
+  for (const [label, decay] of models) {
+    const { counts } = generateAgingPreferential(
+      decay,
+      steps,
+      newElementProbability,
+      { rng }
+    );
+    const max = counts.reduce((a, b) => Math.max(a, b), 0);
+
+    let columns = "  (too few distinct sizes to fit)";
+    if (canFitPowerLaw(counts)) {
+      const fit = fitPowerLaw(counts);
+      const cutoff = compareDistributions(counts, { fit }).comparisons.find(
+        (row) => row.alternative === "power law with cutoff"
+      );
+      columns = `${fit.alpha.toFixed(2).padStart(6)} ${String(
+        fit.xmin
+      ).padStart(5)} ${cutoff.parameters.lambda
+        .toExponential(2)
+        .padStart(9)} ${cutoff.pValue.toFixed(3).padStart(7)}  ${
+        cutoff.favoured
+      }`;
+    }
+
+    console.log(
+      `${label.padEnd(31)} ${counts.length.toString().padStart(8)} ${max
+        .toString()
+        .padStart(6)} ${columns}`
+    );
+  }
+}
+
+module.exports = {
+  powerLawAging,
+  exponentialAging,
+  sampleAgingAttachment,
+  generateAgingPreferential,
+};
+
+if (require.main === module) {
+  main();
+}
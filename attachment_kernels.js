@@ -0,0 +1,223 @@
+/**
+ * Pluggable attachment kernels.
+ *
+ * A kernel maps an element's current count (and its index) to the weight it
+ * is chosen with. Linear attachment is the kernel k => k.
+ */
+
+const { createFenwickSampler } = require("./weighted_sampler");
+
+/**
+ * Linear attachment: weight equals the count
+ * @param {number} count - Current count of the element
+ * @returns {number} - Attachment weight
+ */
+function linearKernel(count) {
+  return count;
+}
+
+/**
+ * Nonlinear attachment k^beta: sublinear for beta < 1, superlinear (winner
+ * takes all) for beta > 1
+ * @param {number} beta - Exponent applied to the count
+ * @returns {Function} - Kernel (count, index) => weight
+ */
+function powerKernel(beta) {
+  return (count) => Math.pow(count, beta);
+}
+
+/**
+ * Additive initial attractiveness k + A, so elements with no attachments
+ * yet can still be chosen
+ * @param {number} attractiveness - Constant A added to every count
+ * @returns {Function} - Kernel (count, index) => weight
+ */
+function initialAttractivenessKernel(attractiveness) {
+  return (count) => count + attractiveness;
+}
+
+/**
+ * Bianconi–Barabási fitness kernel eta_i * k. Fitness can be an array or a
+ * function of the index; function values are drawn once per index and reused.
+ * @param {number[]|Function} fitness - Per-element fitness eta_i
+ * @param {Function} baseKernel - Kernel multiplied by the fitness (default: linear)
+ * @returns {Function} - Kernel (count, index) => weight, with a fitness(index) accessor
+ */
+function fitnessKernel(fitness, baseKernel = linearKernel) {
+  const fitnessValues = Array.isArray(fitness) ? fitness : [];
+
+  function fitnessOf(index) {
+    if (fitnessValues[index] === undefined) {
+      if (typeof fitness !== "function") {
+        throw new RangeError(`No fitness value for index ${index}`);
+      }
+      fitnessValues[index] = fitness(index);
+    }
+    return fitnessValues[index];
+  }
+
+  const kernel = (count, index) => fitnessOf(index) * baseKernel(count, index);
+  kernel.fitness = fitnessOf;
+  return kernel;
+}
+
+/**
+ * Fitness distribution drawing eta uniformly from [0, 1), the standard
+ * Bianconi–Barabási choice
+ * @param {Function} rng - Random number generator (default: Math.random)
+ * @returns {Function} - index => fitness
+ */
+function uniformFitness(rng = Math.random) {
+  return () => rng();
+}
+
+/**
+ * Reference kernel sampler - returns one sample index using a linear scan
+ * @param {number[]} counts - Current count array
+ * @param {Function} kernel - Attachment kernel (count, index) => weight
+ * @param {Function} rng - Random number generator returning [0, 1) (default: Math.random)
+ * @returns {number} - Selected index
+ */
+function samplePreferentialAttachmentWithKernel(
+  counts,
+  kernel,
+  rng = Math.random
+) {
+  const weights = counts.map((count, index) => kernel(count, index));
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+  if (totalWeight === 0) {
+    // If all weights are 0, select randomly
+    return Math.floor(rng() * counts.length);
+  }
+
+  const random = rng() * totalWeight;
+  let cumulativeSum = 0;
+
+  for (let j = 0; j < counts.length; j++) {
+    cumulativeSum += weights[j];
+    if (random <= cumulativeSum) {
+      return j;
+    }
+  }
+
+  // Fallback (should never reach here)
+  return counts.length - 1;
+}
+
+/**
+ * Performs one step of growth with an arbitrary kernel: increments one
+ * element chosen by kernel weight and occasionally appends a new element
+ * @param {number[]} values - Current array of values
+ * @param {Function} kernel - Attachment kernel (count, index) => weight
+ * @param {number} newElementProbability - Probability of adding new element (default: 0.1)
+ * @param {Function} rng - Random number generator returning [0, 1) (default: Math.random)
+ * @returns {number[]} - Updated values array
+ */
+function kernelAttachmentStep(
+  values,
+  kernel,
+  newElementProbability = 0.1,
+  rng = Math.random
+) {
+  const weights = values.map((v, i) => kernel(v, i));
+  const totalWeight = weights.reduce((a, b) => a + b, 0);
+
+  // Choose element to increment based on weights
+  let r = rng() * totalWeight;
+  let cumsum = 0;
+
+  for (let i = 0; i < values.length; i++) {
+    cumsum += weights[i];
+    if (r <= cumsum) {
+      values[i]++;
+      break;
+    }
+  }
+
+  // Occasionally add new elements
+  if (rng() < newElementProbability) {
+    values.push(1);
+  }
+
+  return values;
+}
+
+/**
+ * Fixed-size attachment simulation with an arbitrary kernel (Fenwick tree)
+ * @param {number} arraySize - Size of the array
+ * @param {number} iterations - Number of samples to collect
+ * @param {Object} options - Optional settings
+ * @param {Function} options.kernel - Attachment kernel (default: linear)
+ * @param {number} options.initialCount - Starting count of every index (default: 0)
+ * @param {Function} options.rng - Random number generator (default: Math.random)
+ * @returns {number[]} - Final counts array
+ */
+function preferentialAttachmentWithKernel(
+  arraySize = 10,
+  iterations = 1000,
+  { kernel = linearKernel, initialCount = 0, rng = Math.random } = {}
+) {
+  const counts = new Array(arraySize).fill(initialCount);
+  const sampler = createFenwickSampler(
+    counts.map((count, index) => kernel(count, index))
+  );
+
+  for (let i = 0; i < iterations; i++) {
+    const selectedIndex = sampler.sample(rng);
+    counts[selectedIndex]++;
+    sampler.set(selectedIndex, kernel(counts[selectedIndex], selectedIndex));
+  }
+
+  return counts;
+}
+
+/**
+ * Growing attachment process with an arbitrary kernel (Fenwick tree).
+ * Equivalent to repeating kernelAttachmentStep, in O(log n) per step.
+ * @param {Function} kernel - Attachment kernel (count, index) => weight
+ * @param {number} xMin - Initial number of elements (default: 1)
+ * @param {number} steps - Number of growth steps (default: 1000)
+ * @param {number} newElementProbability - Probability of adding new element (default: 0.1)
+ * @param {Object} options - Optional settings
+ * @param {Function} options.rng - Random number generator (default: Math.random)
+ * @returns {number[]} - Final values array
+ */
+function generateKernelPreferential(
+  kernel,
+  xMin = 1,
+  steps = 1000,
+  newElementProbability = 0.1,
+  { rng = Math.random } = {}
+) {
+  const values = Array(Math.floor(xMin)).fill(1);
+  const sampler = createFenwickSampler(values.map((v, i) => kernel(v, i)));
+
+  for (let step = 0; step < steps; step++) {
+    if (values.length > 0) {
+      const i = sampler.sample(rng);
+      values[i]++;
+      sampler.set(i, kernel(values[i], i));
+    }
+
+    // Occasionally add new elements
+    if (rng() < newElementProbability) {
+      values.push(1);
+      sampler.append(kernel(1, values.length - 1));
+    }
+  }
+
+  return values;
+}
+
+module.exports = {
+  linearKernel,
+  powerKernel,
+  initialAttractivenessKernel,
+  fitnessKernel,
+  uniformFitness,
+  samplePreferentialAttachmentWithKernel,
+  kernelAttachmentStep,
+  preferentialAttachmentWithKernel,
+  generateKernelPreferential,
+};
@@ -0,0 +1,350 @@
+/**
+ * Barabási–Albert network generator built on the preferential attachment
+ * samplers, plus the standard statistics of the resulting graph.
+ */
+
+const { rngFromArgs } = require("./random");
+const {
+  createEndpointSampler,
+  createFenwickSampler,
+} = require("./weighted_sampler");
+
+/**
+ * Grows a Barabási–Albert graph. Starts from a complete graph on
+ * initialNodes nodes; every new node then adds m edges to distinct existing
+ * nodes chosen in proportion to their degree (or kernel(degree, node)).
+ * @param {number} nodeCount - Total number of nodes
+ * @param {number} m - Edges added by each new node
+ * @param {Object} options - Optional settings
+ * @param {number} options.initialNodes - Size of the seed clique (default: m + 1)
+ * @param {Function} options.kernel - Attachment kernel on degree (default: linear)
+ * @param {Function} options.rng - Random number generator (default: Math.random)
+ * @returns {Object} - Graph with nodeCount, edges ([source, target] pairs) and adjacency lists
+ */
+function generateBarabasiAlbert(
+  nodeCount = 1000,
+  m = 2,
+  { initialNodes = m + 1, kernel = null, rng = Math.random } = {}
+) {
+  if (!Number.isInteger(m) || m < 1) {
+    throw new RangeError(`m must be a positive integer, got ${m}`);
+  }
+  if (initialNodes < m) {
+    throw new RangeError(
+      `initialNodes (${initialNodes}) must be at least m (${m})`
+    );
+  }
+  if (nodeCount < initialNodes) {
+    throw new RangeError(
+      `nodeCount (${nodeCount}) must be at least initialNodes (${initialNodes})`
+    );
+  }
+
+  const adjacency = [];
+  const edges = [];
+  const nodeDegrees = [];
+
+  // Linear attachment uses the O(1) prior-endpoint trick; other kernels
+  // need a weighted tree
+  const sampler = kernel ? createFenwickSampler() : createEndpointSampler();
+  // Nodes with a positive attachment weight, the only ones a draw can return
+  // unless every weight is zero
+  let positiveNodes = 0;
+
+  const weightOf = (node) =>
+    kernel ? sampler.weight(node) : nodeDegrees[node];
+
+  function addNode() {
+    adjacency.push([]);
+    nodeDegrees.push(0);
+    const weight = kernel ? kernel(0, nodeDegrees.length - 1) : 0;
+    sampler.append(weight);
+    if (weight > 0) positiveNodes++;
+  }
+
+  function addEdge(source, target) {
+    edges.push([source, target]);
+    adjacency[source].push(target);
+    adjacency[target].push(source);
+    for (const node of [source, target]) {
+      const wasPositive = weightOf(node) > 0;
+      nodeDegrees[node]++;
+      if (kernel) {
+        sampler.set(node, kernel(nodeDegrees[node], node));
+      } else {
+        sampler.increment(node);
+      }
+      positiveNodes += (weightOf(node) > 0) - wasPositive;
+    }
+  }
+
+  // Chooses m distinct existing nodes. When all weights are zero the sampler
+  // draws uniformly; otherwise only positive-weight nodes can be drawn, so
+  // there must be at least m of them. Kernel weights of chosen nodes are
+  // zeroed until all m are drawn, so a dominant node cannot stall the draws.
+  function chooseTargets() {
+    if (positiveNodes > 0 && positiveNodes < m) {
+      throw new Error(
+        `Only ${positiveNodes} of ${nodeDegrees.length} nodes have a positive attachment weight, fewer than m (${m})`
+      );
+    }
+
+    const targets = new Map();
+    while (targets.size < m) {
+      const target = sampler.sample(rng);
+      if (targets.has(target)) continue;
+      targets.set(target, weightOf(target));
+      if (kernel && positiveNodes > 0) sampler.set(target, 0);
+    }
+    if (kernel && positiveNodes > 0) {
+      targets.forEach((weight, target) => sampler.set(target, weight));
+    }
+    return Array.from(targets.keys());
+  }
+
+  for (let node = 0; node < initialNodes; node++) {
+    addNode();
+    for (let other = 0; other < node; other++) {
+      addEdge(other, node);
+    }
+  }
+
+  for (let node = initialNodes; node < nodeCount; node++) {
+    // Choose m distinct targets among the existing nodes before linking,
+    // so the new node's own edges do not bias the later draws
+    const targets = chooseTargets();
+
+    addNode();
+    for (const target of targets) {
+      addEdge(node, target);
+    }
+  }
+
+  return { nodeCount, m, edges, adjacency };
+}
+
+/**
+ * Degree of every node
+ * @param {Object} graph - Graph with adjacency lists
+ * @returns {number[]} - Degree per node
+ */
+function degrees(graph) {
+  return graph.adjacency.map((neighbours) => neighbours.length);
+}
+
+/**
+ * Degree distribution: how many nodes have each degree
+ * @param {Object} graph - Graph with adjacency lists
+ * @returns {Object[]} - {degree, count} entries sorted by degree
+ */
+function degreeDistribution(graph) {
+  const frequencyMap = new Map();
+  for (const degree of degrees(graph)) {
+    frequencyMap.set(degree, (frequencyMap.get(degree) || 0) + 1);
+  }
+
+  return Array.from(frequencyMap.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([degree, count]) => ({ degree, count }));
+}
+
+/**
+ * Clustering coefficients of a simple undirected graph
+ * @param {Object} graph - Graph with adjacency lists
+ * @returns {Object} - average (mean local coefficient) and global (transitivity)
+ */
+function clusteringCoefficient(graph) {
+  const { adjacency } = graph;
+  const marked = new Int32Array(adjacency.length).fill(-1);
+
+  let localSum = 0;
+  let closedTriplets = 0;
+  let triplets = 0;
+
+  for (let v = 0; v < adjacency.length; v++) {
+    const neighbours = adjacency[v];
+    const degree = neighbours.length;
+    if (degree < 2) continue;
+
+    for (const u of neighbours) marked[u] = v;
+
+    // Each triangle through v is seen once from each of its two other corners
+    let links = 0;
+    for (const u of neighbours) {
+      for (const w of adjacency[u]) {
+        if (marked[w] === v) links++;
+      }
+    }
+    links /= 2;
+
+    const pairs = (degree * (degree - 1)) / 2;
+    localSum += links / pairs;
+    closedTriplets += links;
+    triplets += pairs;
+  }
+
+  return {
+    average: adjacency.length > 0 ? localSum / adjacency.length : 0,
+    global: triplets > 0 ? closedTriplets / triplets : 0,
+  };
+}
+
+/**
+ * Average shortest path length over connected node pairs, by breadth-first
+ * search. Large graphs can be estimated from a random subset of sources.
+ * @param {Object} graph - Graph with adjacency lists
+ * @param {Object} options - Optional settings
+ * @param {number} options.sources - Number of BFS sources (default: all nodes)
+ * @param {Function} options.rng - Random number generator for choosing sources (default: Math.random)
+ * @returns {number} - Mean distance between reachable pairs
+ */
+function averagePathLength(
+  graph,
+  { sources = graph.adjacency.length, rng = Math.random } = {}
+) {
+  const { adjacency } = graph;
+  const n = adjacency.length;
+
+  let sourceNodes = Array.from({ length: n }, (_, i) => i);
+  if (sources < n) {
+    // Partial Fisher–Yates shuffle to pick distinct sources
+    for (let i = 0; i < sources; i++) {
+      const j = i + Math.floor(rng() * (n - i));
+      [sourceNodes[i], sourceNodes[j]] = [sourceNodes[j], sourceNodes[i]];
+    }
+    sourceNodes = sourceNodes.slice(0, sources);
+  }
+
+  const distance = new Int32Array(n);
+  const queue = new Int32Array(n);
+  let totalDistance = 0;
+  let pairs = 0;
+
+  for (const source of sourceNodes) {
+    distance.fill(-1);
+    distance[source] = 0;
+    let head = 0;
+    let tail = 0;
+    queue[tail++] = source;
+
+    while (head < tail) {
+      const v = queue[head++];
+      for (const u of adjacency[v]) {
+        if (distance[u] === -1) {
+          distance[u] = distance[v] + 1;
+          totalDistance += distance[u];
+          pairs++;
+          queue[tail++] = u;
+        }
+      }
+    }
+  }
+
+  return pairs > 0 ? totalDistance / pairs : 0;
+}
+
+/**
+ * Degree assortativity: Pearson correlation between the degrees at the two
+ * ends of each edge (Newman 2002). Negative for hub-and-spoke networks.
+ * @param {Object} graph - Graph with edges and adjacency lists
+ * @returns {number} - Coefficient in [-1, 1] (0 when undefined)
+ */
+function degreeAssortativity(graph) {
+  const nodeDegrees = degrees(graph);
+  const edgeCount = graph.edges.length;
+  if (edgeCount === 0) return 0;
+
+  let productSum = 0;
+  let meanSum = 0;
+  let squareSum = 0;
+
+  for (const [source, target] of graph.edges) {
+    const j = nodeDegrees[source];
+    const k = nodeDegrees[target];
+    productSum += j * k;
+    meanSum += (j + k) / 2;
+    squareSum += (j * j + k * k) / 2;
+  }
+
+  const mean = meanSum / edgeCount;
+  const numerator = productSum / edgeCount - mean * mean;
+  const denominator = squareSum / edgeCount - mean * mean;
+
+  return denominator === 0 ? 0 : numerator / denominator;
+}
+
+/**
+ * Collects the standard statistics of a graph
+ * @param {Object} graph - Graph with edges and adjacency lists
+ * @param {Object} options - Passed to averagePathLength
+ * @returns {Object} - Node/edge counts, degree distribution, clustering, path length and assortativity
+ */
+function graphStatistics(graph, options = {}) {
+  const nodeDegrees = degrees(graph);
+  return {
+    nodes: graph.adjacency.length,
+    edges: graph.edges.length,
+    averageDegree:
+      nodeDegrees.reduce((sum, d) => sum + d, 0) / nodeDegrees.length,
+    maxDegree: nodeDegrees.reduce((max, d) => Math.max(max, d), 0),
+    degreeDistribution: degreeDistribution(graph),
+    clustering: clusteringCoefficient(graph),
+    averagePathLength: averagePathLength(graph, options),
+    assortativity: degreeAssortativity(graph),
+  };
+}
+
+/**
+ * Print a graph statistics report
+ * @param {Object} stats - Result of graphStatistics
+ */
+function printGraphReport(stats) {
+  console.log("\n=== DEGREE DISTRIBUTION ===");
+  const maxCount = Math.max(...stats.degreeDistribution.map((d) => d.count));
+  for (const { degree, count } of stats.degreeDistribution) {
+    const bar = "▓".repeat(Math.max(1, Math.floor((count / maxCount) * 40)));
+    console.log(`${degree} edges: ${count} nodes ${bar}`);
+  }
+
+  console.log("\n=== STATISTICS ===");
+  console.log(`Nodes: ${stats.nodes.toLocaleString()}`);
+  console.log(`Edges: ${stats.edges.toLocaleString()}`);
+  console.log(`Average degree: ${stats.averageDegree.toFixed(2)}`);
+  console.log(`Maximum degree: ${stats.maxDegree}`);
+  console.log(
+    `Clustering coefficient: ${stats.clustering.average.toFixed(
+      4
+    )} (average local), ${stats.clustering.global.toFixed(4)} (global)`
+  );
+  console.log(`Average path length: ${stats.averagePathLength.toFixed(3)}`);
+  console.log(`Degree assortativity: ${stats.assortativity.toFixed(4)}`);
+}
+
+function main() {
+  const rng = rngFromArgs();
+  console.log(`Seed: ${rng.seed}`);
+
+  const nodeCount = 10000;
+  const m = 3;
+  console.log(
+    `\n=== Barabási–Albert graph: ${nodeCount.toLocaleString()} nodes, m = ${m} ===`
+  );
+
+  const graph = generateBarabasiAlbert(nodeCount, m, { rng });
+  printGraphReport(graphStatistics(graph, { sources: 500, rng }));
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  generateBarabasiAlbert,
+  degrees,
+  degreeDistribution,
+  clusteringCoefficient,
+  averagePathLength,
+  degreeAssortativity,
+  graphStatistics,
+  printGraphReport,
+};
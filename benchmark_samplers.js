@@ -0,0 +1,161 @@
+const { rngFromArgs, createRng } = require("./random");
+const { powerKernel, kernelAttachmentStep } = require("./attachment_kernels");
+const {
+  preferentialAttachmentFast,
+  generatePowerLawPreferentialFast,
+} = require("./weighted_sampler");
+
+/**
+ * Quiet copy of the preferentialAttachment loop and its linear-scan sampler
+ * so the timing is not dominated by its progress logging
+ */
+function preferentialAttachmentReference(arraySize, iterations, rng) {
+  const counts = new Array(arraySize).fill(0);
+  for (let i = 0; i < iterations; i++) {
+    const totalSum = counts.reduce((sum, count) => sum + count, 0);
+    let selectedIndex = counts.length - 1;
+    if (totalSum === 0) {
+      selectedIndex = Math.floor(rng() * counts.length);
+    } else {
+      const random = rng() * totalSum;
+      let cumulativeSum = 0;
+      for (let j = 0; j < counts.length; j++) {
+        cumulativeSum += counts[j];
+        if (random <= cumulativeSum) {
+          selectedIndex = j;
+          break;
+        }
+      }
+    }
+    counts[selectedIndex]++;
+  }
+  return counts;
+}
+
+/**
+ * Linear-scan growth loop of generatePowerLawPreferential, without the
+ * snapshots it hands to observers
+ */
+function powerLawReference(alpha, xMin, steps, newElementProbability, rng) {
+  const kernel = powerKernel(1 / (alpha - 1));
+  let values = Array(Math.floor(xMin)).fill(1);
+  for (let step = 0; step < steps; step++) {
+    values = kernelAttachmentStep(values, kernel, newElementProbability, rng);
+  }
+  return values;
+}
+
+/**
+ * Times a single run and summarises its output
+ * @param {Function} run - Simulation to time, returning a counts array
+ * @returns {Object} - Elapsed milliseconds, element count and maximum count
+ */
+function time(run) {
+  const startTime = process.hrtime.bigint();
+  const counts = run();
+  const elapsed = Number(process.hrtime.bigint() - startTime) / 1e6;
+
+  let max = 0;
+  for (const count of counts) if (count > max) max = count;
+
+  return { elapsed, elements: counts.length, max };
+}
+
+function printRow(label, { elapsed, elements, max }, baseline) {
+  const speedup = baseline ? `${(baseline / elapsed).toFixed(1)}x` : "-";
+  console.log(
+    `${label.padEnd(28)} ${elapsed.toFixed(1).padStart(10)}ms ${elements
+      .toLocaleString()
+      .padStart(10)} ${max.toLocaleString().padStart(10)} ${speedup.padStart(
+      8
+    )}`
+  );
+}
+
+function printHeader(title) {
+  console.log(`\n=== ${title} ===`);
+  console.log(
+    `${"Implementation".padEnd(28)} ${"Time".padStart(
+      12
+    )} ${"Elements".padStart(10)} ${"Max".padStart(10)} ${"Speedup".padStart(
+      8
+    )}`
+  );
+}
+
+function main() {
+  const rng = rngFromArgs();
+  const seed = rng.seed;
+  console.log(`Seed: ${seed}`);
+
+  for (const [arraySize, iterations] of [
+    [1000, 20000],
+    [10000, 20000],
+  ]) {
+    printHeader(
+      `preferentialAttachment: ${arraySize.toLocaleString()} indices, ${iterations.toLocaleString()} iterations`
+    );
+
+    const reference = time(() =>
+      preferentialAttachmentReference(arraySize, iterations, createRng(seed))
+    );
+    printRow("linear scan (reference)", reference);
+    printRow(
+      "Fenwick tree",
+      time(() =>
+        preferentialAttachmentFast(arraySize, iterations, {
+          rng: createRng(seed),
+          sampler: "fenwick",
+        })
+      ),
+      reference.elapsed
+    );
+    printRow(
+      "random prior endpoint",
+      time(() =>
+        preferentialAttachmentFast(arraySize, iterations, {
+          rng: createRng(seed),
+          sampler: "endpoint",
+        })
+      ),
+      reference.elapsed
+    );
+  }
+
+  for (const steps of [10000, 20000]) {
+    printHeader(
+      `generatePowerLawPreferential: alpha=2.5, ${steps.toLocaleString()} steps`
+    );
+
+    const reference = time(() =>
+      powerLawReference(2.5, 1, steps, 0.1, createRng(seed))
+    );
+    printRow("linear scan (reference)", reference);
+    printRow(
+      "Fenwick tree",
+      time(() =>
+        generatePowerLawPreferentialFast(2.5, 1, steps, 0.1, {
+          rng: createRng(seed),
+        })
+      ),
+      reference.elapsed
+    );
+  }
+
+  printHeader("Fast samplers only: 1,000,000 indices, 10,000,000 iterations");
+  for (const sampler of ["fenwick", "endpoint"]) {
+    printRow(
+      sampler === "fenwick" ? "Fenwick tree" : "random prior endpoint",
+      time(() =>
+        preferentialAttachmentFast(1000000, 10000000, {
+          rng: createRng(seed),
+          sampler,
+        })
+      )
+    );
+  }
+}
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,259 @@
+/**
+ * Checkpoint and resume for long simulation runs.
+ *
+ * A checkpoint is a JSON file holding the kind of simulation, its parameters,
+ * the number of steps completed, the generator state from rng.getState() and
+ * the simulation's own state (counts, sampler internals or accumulators).
+ * Every number is written with JSON's round-trip representation and the
+ * generator continues exactly where it stopped, so a resumed run produces
+ * bit-identical results to an uninterrupted one.
+ *
+ * The file is a JSON header line followed by the long arrays of the state,
+ * CHECKPOINT_CHUNK elements per line. The header stands in for each long
+ * array with { "$array": index } and lists their lengths in "arrays".
+ * Neither writing nor reading holds the whole checkpoint in one string, so
+ * states of tens of millions of elements stay clear of V8's string limit.
+ *
+ * Files are written to a temporary name and renamed into place, so an
+ * interruption while writing leaves the previous checkpoint intact.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { restoreRng } = require("./random");
+const { isDue } = require("./simulation_observers");
+
+const CHECKPOINT_VERSION = 2;
+
+// Arrays longer than this are written as separate lines of this many elements
+const CHECKPOINT_CHUNK = 100000;
+
+// Checkpoints per run when no interval is given
+const DEFAULT_CHECKPOINTS = 10;
+
+/**
+ * Copy of a value with every long array replaced by a placeholder; the
+ * arrays are collected in the order of their indices
+ */
+function withArrayPlaceholders(value, arrays) {
+  if (Array.isArray(value)) {
+    if (value.length > CHECKPOINT_CHUNK) {
+      arrays.push(value);
+      return { $array: arrays.length - 1 };
+    }
+    return value.map((item) => withArrayPlaceholders(item, arrays));
+  }
+  if (value !== null && typeof value === "object") {
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      copy[key] = withArrayPlaceholders(item, arrays);
+    }
+    return copy;
+  }
+  return value;
+}
+
+/**
+ * Puts the arrays read after the header back in place of their placeholders
+ */
+function withArraysRestored(value, arrays) {
+  if (Array.isArray(value)) {
+    return value.map((item) => withArraysRestored(item, arrays));
+  }
+  if (value !== null && typeof value === "object") {
+    if (typeof value.$array === "number") return arrays[value.$array];
+    for (const key of Object.keys(value)) {
+      value[key] = withArraysRestored(value[key], arrays);
+    }
+  }
+  return value;
+}
+
+/**
+ * Lines of a file, decoded one at a time from its bytes
+ */
+function* fileLines(file) {
+  const bytes = fs.readFileSync(file);
+  let start = 0;
+  while (start < bytes.length) {
+    let end = bytes.indexOf(10, start);
+    if (end === -1) end = bytes.length;
+    yield bytes.toString("utf8", start, end);
+    start = end + 1;
+  }
+}
+
+/**
+ * Writes a checkpoint file atomically
+ * @param {string} file - Checkpoint path
+ * @param {Object} checkpoint - Contents
+ * @param {string} checkpoint.kind - Name of the simulation
+ * @param {number} checkpoint.step - Steps completed
+ * @param {Object} checkpoint.parameters - Parameters the run was started with
+ * @param {Function} checkpoint.rng - Seeded generator from createRng
+ * @param {Object} checkpoint.state - JSON-serialisable simulation state
+ */
+function writeCheckpoint(file, { kind, step, parameters, rng, state }) {
+  if (typeof rng.getState !== "function") {
+    throw new Error(
+      "Checkpointing needs a seeded generator from createRng, not Math.random"
+    );
+  }
+
+  const arrays = [];
+  const header = withArrayPlaceholders(
+    {
+      version: CHECKPOINT_VERSION,
+      kind,
+      step,
+      parameters,
+      rng: rng.getState(),
+      state,
+    },
+    arrays
+  );
+  header.arrays = arrays.map((array) => array.length);
+
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const temporary = `${file}.tmp`;
+  const fd = fs.openSync(temporary, "w");
+  try {
+    fs.writeSync(fd, `${JSON.stringify(header)}\n`);
+    for (const array of arrays) {
+      for (let i = 0; i < array.length; i += CHECKPOINT_CHUNK) {
+        fs.writeSync(
+          fd,
+          `${JSON.stringify(array.slice(i, i + CHECKPOINT_CHUNK))}\n`
+        );
+      }
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(temporary, file);
+}
+
+/**
+ * Reads a checkpoint file and checks that it belongs to the run resuming it
+ * @param {string} file - Checkpoint path
+ * @param {Object} expected - Optional checks
+ * @param {string} expected.kind - Required simulation name
+ * @param {Object} expected.parameters - Parameters that must match the saved ones
+ * @returns {Object} - kind, step, parameters, rng (restored generator) and state
+ */
+function readCheckpoint(file, { kind, parameters } = {}) {
+  const lines = fileLines(file);
+  const header = JSON.parse(lines.next().value);
+
+  if (header.version !== CHECKPOINT_VERSION) {
+    throw new Error(
+      `${file}: unsupported checkpoint version ${header.version}`
+    );
+  }
+  if (kind !== undefined && header.kind !== kind) {
+    throw new Error(`${file}: checkpoint is for ${header.kind}, not ${kind}`);
+  }
+  if (parameters !== undefined) {
+    const mismatched = Object.keys(parameters).filter(
+      (name) =>
+        JSON.stringify(parameters[name]) !==
+        JSON.stringify(header.parameters[name])
+    );
+    if (mismatched.length > 0) {
+      throw new Error(
+        `${file}: checkpoint was written with different parameters (${mismatched
+          .map(
+            (name) =>
+              `${name}: ${JSON.stringify(
+                header.parameters[name]
+              )} vs ${JSON.stringify(parameters[name])}`
+          )
+          .join(", ")})`
+      );
+    }
+  }
+
+  // The long arrays follow in index order, each filling its own lines
+  const arrays = header.arrays.map((length) => {
+    const array = [];
+    while (array.length < length) {
+      const line = lines.next();
+      if (line.done) throw new Error(`${file}: checkpoint is truncated`);
+      for (const item of JSON.parse(line.value)) array.push(item);
+    }
+    return array;
+  });
+
+  delete header.arrays;
+  const checkpoint = withArraysRestored(header, arrays);
+  return { ...checkpoint, rng: restoreRng(checkpoint.rng) };
+}
+
+/**
+ * Runs a simulation step by step, writing periodic checkpoints and
+ * optionally resuming from an earlier one. The simulation describes how to
+ * start, advance and (de)serialise its state:
+ * - initialState(): state before the first step
+ * - advance(state, step, rng): performs step number `step` (0-based)
+ * - saveState(state): JSON-serialisable copy of the state
+ * - loadState(saved): state rebuilt from saveState's output
+ * @param {number} steps - Total number of steps
+ * @param {Object} simulation - kind, parameters, initialState, advance, saveState and loadState
+ * @param {Object} options - Optional settings
+ * @param {Function} options.rng - Generator for a fresh run (ignored when resuming)
+ * @param {Object} options.checkpoint - { path, interval } where interval is steps or a predicate
+ *   (default: none; interval defaults to a tenth of the steps, so the writing time stays in proportion to the run)
+ * @param {string} options.resume - Checkpoint file to continue from (default: none)
+ * @returns {Object} - state, rng and resumedFrom (step the run continued from, 0 for a fresh run)
+ */
+function runCheckpointed(
+  steps,
+  { kind, parameters, initialState, advance, saveState, loadState },
+  { rng = Math.random, checkpoint = null, resume = null } = {}
+) {
+  let state;
+  let start = 0;
+  if (resume) {
+    const saved = readCheckpoint(resume, { kind, parameters });
+    if (saved.step > steps) {
+      throw new Error(
+        `${resume}: checkpoint is at step ${saved.step}, past the ${steps} steps requested`
+      );
+    }
+    rng = saved.rng;
+    start = saved.step;
+    state = loadState(saved.state);
+  } else {
+    state = initialState();
+  }
+
+  const interval =
+    checkpoint &&
+    (checkpoint.interval ??
+      Math.max(1, Math.ceil(steps / DEFAULT_CHECKPOINTS)));
+  const save = (step) =>
+    writeCheckpoint(checkpoint.path, {
+      kind,
+      step,
+      parameters,
+      rng,
+      state: saveState(state),
+    });
+
+  for (let step = start; step < steps; step++) {
+    advance(state, step, rng);
+    if (checkpoint && isDue(interval, step + 1)) save(step + 1);
+  }
+  // Leave a checkpoint of the finished run, so it can be extended or inspected
+  if (checkpoint && !isDue(interval, steps)) save(steps);
+
+  return { state, rng, resumedFrom: start };
+}
+
+module.exports = {
+  CHECKPOINT_VERSION,
+  CHECKPOINT_CHUNK,
+  writeCheckpoint,
+  readCheckpoint,
+  runCheckpointed,
+};
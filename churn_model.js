@@ -0,0 +1,449 @@
+/**
+ * Preferential attachment with churn: elements are born, grow, shrink and die.
+ *
+ * Every step attaches one unit with the attachment kernel, adds a new element
+ * of size 1 with the birth probability, then applies each removal process:
+ *
+ * - uniformDeletion(hazard): every element is deleted outright with the same
+ *   probability each step, so lifetimes are geometric and the population
+ *   settles near birthProbability / hazard
+ * - preferentialDecrement(rate): removes units from elements chosen in
+ *   proportion to their size, the mirror image of attachment
+ * - antiPreferentialDecrement(rate): removes units from elements chosen in
+ *   proportion to 1 / size, so small elements wither first
+ * - kernelDecrement(rate, kernel): decrements with any kernel
+ *
+ * An element whose count reaches zero dies unless removeAtZero is false.
+ * Elements keep a permanent id, which is what kernels receive as their index,
+ * so fitness kernels stay attached to the same element as others are removed.
+ *
+ * Draws go through Fenwick samplers kept in the state, one per weight
+ * function, which every birth, count change and removal updates, so each
+ * draw and each change costs O(log n) instead of a scan of the population.
+ */
+
+const { rngFromArgs } = require("./random");
+const { linearKernel } = require("./attachment_kernels");
+const { observerSchedule, runObserved } = require("./simulation_observers");
+const { createFenwickSampler } = require("./weighted_sampler");
+
+/**
+ * The state's sampler for a weight function (count, id) => weight, built
+ * from the population the first time it is asked for
+ */
+function samplerFor(state, weight) {
+  if (!state.samplers.has(weight)) {
+    state.samplers.set(
+      weight,
+      createFenwickSampler(
+        state.counts.map((count, i) => weight(count, state.ids[i]))
+      )
+    );
+  }
+  return state.samplers.get(weight);
+}
+
+/**
+ * Refreshes element i's weight in every sampler
+ */
+function reweigh(state, i) {
+  state.samplers.forEach((sampler, weight) =>
+    sampler.set(i, weight(state.counts[i], state.ids[i]))
+  );
+}
+
+/**
+ * Changes element i's count
+ */
+function setCount(state, i, count) {
+  state.counts[i] = count;
+  reweigh(state, i);
+}
+
+/**
+ * Adds an element of size 1 born at the current step
+ */
+function addElement(state) {
+  state.counts.push(1);
+  state.ids.push(state.nextId++);
+  state.bornAt.push(state.step);
+  state.samplers.forEach((sampler, weight) =>
+    sampler.append(weight(1, state.ids[state.ids.length - 1]))
+  );
+}
+
+/**
+ * Removes element i, moving the last element into its slot
+ */
+function removeElement(state, i) {
+  const last = state.counts.length - 1;
+  state.counts[i] = state.counts[last];
+  state.ids[i] = state.ids[last];
+  state.bornAt[i] = state.bornAt[last];
+  state.counts.pop();
+  state.ids.pop();
+  state.bornAt.pop();
+  if (i < last) reweigh(state, i);
+  state.samplers.forEach((sampler) => sampler.pop());
+}
+
+/**
+ * Every element is deleted independently with the given probability per step
+ * @param {number} hazard - Per-element deletion probability per step, in [0, 1]
+ * @returns {Function} - Removal process (state, rng) => { deaths, decrements }
+ */
+function uniformDeletion(hazard) {
+  if (!(hazard >= 0 && hazard <= 1)) {
+    throw new RangeError(`Hazard must be in [0, 1], got ${hazard}`);
+  }
+  return (state, rng) => {
+    let deaths = 0;
+    // Walk backwards so the swapped-in element has already been visited
+    for (let i = state.counts.length - 1; i >= 0; i--) {
+      if (rng() < hazard) {
+        removeElement(state, i);
+        deaths++;
+      }
+    }
+    return { deaths, decrements: 0 };
+  };
+}
+
+/**
+ * Removes units from elements chosen with a decrement kernel. The rate is the
+ * expected number of units removed per step: its whole part every step and
+ * one more with probability equal to its fractional part.
+ * @param {number} rate - Expected units removed per step, >= 0
+ * @param {Function} kernel - Decrement kernel (count, id) => weight
+ * @returns {Function} - Removal process (state, rng) => { deaths, decrements }
+ */
+function kernelDecrement(rate, kernel) {
+  if (!(rate >= 0)) {
+    throw new RangeError(`Decrement rate must be >= 0, got ${rate}`);
+  }
+  const whole = Math.floor(rate);
+  const fraction = rate - whole;
+
+  // Only elements with something left to lose can be decremented
+  const weight = (count, id) => (count > 0 ? kernel(count, id) : 0);
+
+  return (state, rng) => {
+    let deaths = 0;
+    let decrements = 0;
+    const units = whole + (rng() < fraction ? 1 : 0);
+
+    for (let unit = 0; unit < units; unit++) {
+      const sampler = samplerFor(state, weight);
+      if (sampler.total() <= 0) break;
+
+      const chosen = sampler.sample(rng);
+      // Only rounding residue is left in the total when this draws an empty element
+      if (state.counts[chosen] === 0) break;
+      setCount(state, chosen, state.counts[chosen] - 1);
+      decrements++;
+
+      if (state.counts[chosen] === 0 && state.removeAtZero) {
+        removeElement(state, chosen);
+        deaths++;
+      }
+    }
+    return { deaths, decrements };
+  };
+}
+
+/**
+ * Decrements elements in proportion to their size
+ * @param {number} rate - Expected units removed per step
+ * @returns {Function} - Removal process
+ */
+function preferentialDecrement(rate) {
+  return kernelDecrement(rate, linearKernel);
+}
+
+/**
+ * Decrements elements in proportion to the inverse of their size
+ * @param {number} rate - Expected units removed per step
+ * @returns {Function} - Removal process
+ */
+function antiPreferentialDecrement(rate) {
+  return kernelDecrement(rate, (count) => 1 / count);
+}
+
+/**
+ * Creates the state of a churning population
+ * @param {number} xMin - Initial number of elements, each of size 1 (default: 1)
+ * @param {boolean} removeAtZero - Whether elements die when their count reaches zero (default: true)
+ * @returns {Object} - State {counts, ids, bornAt, nextId, step, removeAtZero,
+ *   samplers, attachKernel}; change it through churnStep and the removal
+ *   processes, which keep the samplers in step with the counts
+ */
+function createChurnState(xMin = 1, removeAtZero = true) {
+  const counts = Array(Math.floor(xMin)).fill(1);
+  return {
+    counts,
+    ids: counts.map((_, i) => i),
+    bornAt: counts.map(() => 0),
+    nextId: counts.length,
+    step: 0,
+    removeAtZero,
+    samplers: new Map(),
+    attachKernel: null,
+  };
+}
+
+/**
+ * Performs one step of churning attachment: attach, maybe add an element,
+ * then run every removal process in order
+ * @param {Object} state - State from createChurnState, updated in place
+ * @param {Object} options - Optional settings
+ * @param {Function} options.kernel - Attachment kernel (count, id) => weight (default: linearKernel)
+ * @param {number} options.birthProbability - Probability of adding a new element (default: 0.1)
+ * @param {Function[]} options.removals - Removal processes (default: none)
+ * @param {Function} options.rng - Random number generator (default: Math.random)
+ * @returns {Object} - What happened this step: births, deaths and decrements
+ */
+function churnStep(
+  state,
+  {
+    kernel = linearKernel,
+    birthProbability = 0.1,
+    removals = [],
+    rng = Math.random,
+  } = {}
+) {
+  state.step++;
+
+  // A sampler for a kernel no longer in use would only cost updates
+  if (state.attachKernel !== kernel) {
+    state.samplers.delete(state.attachKernel);
+    state.attachKernel = kernel;
+  }
+
+  // Attach to a living element, if there is one
+  if (state.counts.length > 0) {
+    const i = samplerFor(state, kernel).sample(rng);
+    setCount(state, i, state.counts[i] + 1);
+  }
+
+  let births = 0;
+  if (rng() < birthProbability) {
+    addElement(state);
+    births++;
+  }
+
+  let deaths = 0;
+  let decrements = 0;
+  for (const removal of removals) {
+    const result = removal(state, rng);
+    deaths += result.deaths;
+    decrements += result.decrements;
+  }
+
+  return { births, deaths, decrements };
+}
+
+/**
+ * Churning growth as a stream of snapshots: the initial population, every
+ * step the interval asks for, and the final population
+ * @param {number} steps - Number of steps (default: 1000)
+ * @param {Object} options - Optional settings
+ * @param {number} options.xMin - Initial number of elements (default: 1)
+ * @param {Function} options.kernel - Attachment kernel (default: linearKernel)
+ * @param {number} options.birthProbability - Probability of adding a new element (default: 0.1)
+ * @param {Function[]} options.removals - Removal processes (default: none)
+ * @param {boolean} options.removeAtZero - Whether elements die at zero (default: true)
+ * @param {Function} options.rng - Random number generator (default: Math.random)
+ * @param {number|Function} options.interval - Steps between snapshots, or a predicate (default: none)
+ * @yields {Object} - Snapshot {iteration, counts, ids, bornAt, births, deaths,
+ *   decrements, totalBirths, totalDeaths, totalDecrements, done}: copies of
+ *   the living population, the events of the latest step and running totals
+ */
+function* churnSnapshots(
+  steps = 1000,
+  {
+    xMin = 1,
+    kernel = linearKernel,
+    birthProbability = 0.1,
+    removals = [],
+    removeAtZero = true,
+    rng = Math.random,
+    interval = 0,
+  } = {}
+) {
+  const schedule = observerSchedule([{ interval }]);
+  const state = createChurnState(xMin, removeAtZero);
+  const totals = { totalBirths: 0, totalDeaths: 0, totalDecrements: 0 };
+
+  const snapshot = (events, done) => ({
+    iteration: state.step,
+    counts: state.counts.slice(),
+    ids: state.ids.slice(),
+    bornAt: state.bornAt.slice(),
+    ...events,
+    ...totals,
+    done,
+  });
+
+  yield snapshot({ births: 0, deaths: 0, decrements: 0 }, steps === 0);
+
+  for (let step = 0; step < steps; step++) {
+    const events = churnStep(state, {
+      kernel,
+      birthProbability,
+      removals,
+      rng,
+    });
+    totals.totalBirths += events.births;
+    totals.totalDeaths += events.deaths;
+    totals.totalDecrements += events.decrements;
+
+    if (step + 1 === steps || schedule(step + 1)) {
+      yield snapshot(events, step + 1 === steps);
+    }
+  }
+}
+
+/**
+ * Runs a churning simulation to completion
+ * @param {number} steps - Number of steps (default: 1000)
+ * @param {Object} options - churnSnapshots options, plus:
+ * @param {Object[]} options.observers - Progress observers (default: none)
+ * @returns {Object} - The final snapshot
+ */
+function generateChurningPreferential(
+  steps = 1000,
+  { observers = [], ...options } = {}
+) {
+  return runObserved(
+    churnSnapshots(steps, {
+      ...options,
+      interval: observerSchedule(observers),
+    }),
+    observers
+  );
+}
+
+/**
+ * Observer printing the population and the births and deaths since the
+ * previous report
+ * @param {number} interval - Steps between reports
+ * @returns {Object} - Observer
+ */
+function createChurnReporter(interval) {
+  let previous = { totalBirths: 0, totalDeaths: 0, totalDecrements: 0 };
+
+  const report = (snapshot) => {
+    const total = snapshot.counts.reduce((a, b) => a + b, 0);
+    console.log(
+      `${snapshot.iteration
+        .toLocaleString()
+        .padStart(10)} ${snapshot.counts.length
+        .toLocaleString()
+        .padStart(8)} ${total.toLocaleString().padStart(9)} ${(
+        snapshot.totalBirths - previous.totalBirths
+      )
+        .toLocaleString()
+        .padStart(7)} ${(snapshot.totalDeaths - previous.totalDeaths)
+        .toLocaleString()
+        .padStart(7)} ${(snapshot.totalDecrements - previous.totalDecrements)
+        .toLocaleString()
+        .padStart(10)}`
+    );
+    previous = snapshot;
+  };
+
+  return {
+    interval,
+    onStart: () => {
+      console.log(
+        `${"Step".padStart(10)} ${"Alive".padStart(8)} ${"Units".padStart(
+          9
+        )} ${"Births".padStart(7)} ${"Deaths".padStart(
+          7
+        )} ${"Decrements".padStart(10)}`
+      );
+    },
+    onSnapshot: report,
+  };
+}
+
+function main() {
+  const { fitPowerLaw } = require("./power_law_fit");
+  const { calculateGini } = require("./inequality_metrics");
+
+  const rng = rngFromArgs();
+  console.log(`Seed: ${rng.seed}`);
+
+  const steps = 100000;
+  const birthProbability = 0.1;
+  const scenarios = [
+    ["No removal", []],
+    ["Uniform deletion, hazard 0.0005", [uniformDeletion(0.0005)]],
+    [
+      "Preferential decrement, 0.9 units per step",
+      [preferentialDecrement(0.9)],
+    ],
+    [
+      "Anti-preferential decrement, 0.05 units per step",
+      [antiPreferentialDecrement(0.05)],
+    ],
+    [
+      "Uniform deletion 0.0005 and preferential decrement 0.5",
+      [uniformDeletion(0.0005), preferentialDecrement(0.5)],
+    ],
+  ];
+
+  for (const [label, removals] of scenarios) {
+    console.log(
+      `\n=== ${label}: ${steps.toLocaleString()} steps, birth probability ${birthProbability} ===`
+    );
+    const final = generateChurningPreferential(steps, {
+      birthProbability,
+      removals,
+      rng,
+      observers: [createChurnReporter(steps / 5)],
+    });
+
+    const { counts, bornAt, totalBirths, totalDeaths } = final;
+    const max = counts.reduce((a, b) => Math.max(a, b), 0);
+    if (counts.length === 0) {
+      console.log(
+        `Births ${totalBirths.toLocaleString()}, deaths ${totalDeaths.toLocaleString()}, no element alive`
+      );
+      continue;
+    }
+    const meanAge =
+      bornAt.reduce((sum, born) => sum + (steps - born), 0) / counts.length;
+    console.log(
+      `Births ${totalBirths.toLocaleString()}, deaths ${totalDeaths.toLocaleString()}, alive ${counts.length.toLocaleString()}, largest ${max.toLocaleString()}, mean age ${meanAge.toFixed(
+        0
+      )}, Gini ${calculateGini(counts).toFixed(3)}`
+    );
+    try {
+      const fit = fitPowerLaw(counts);
+      console.log(
+        `Power-law fit: alpha ${fit.alpha.toFixed(2)} ± ${fit.sigma.toFixed(
+          2
+        )}, xmin ${fit.xmin}, tail ${fit.nTail}`
+      );
+    } catch (error) {
+      console.log(`Power-law fit: ${error.message}`);
+    }
+  }
+}
+
+module.exports = {
+  uniformDeletion,
+  kernelDecrement,
+  preferentialDecrement,
+  antiPreferentialDecrement,
+  createChurnState,
+  churnStep,
+  churnSnapshots,
+  generateChurningPreferential,
+  createChurnReporter,
+};
+
+if (require.main === module) {
+  main();
+}
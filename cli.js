@@ -0,0 +1,697 @@
+/**
+ * Command-line interface for the simulations, fits and line counters.
+ *
+ *   node cli.js <command> [flags]
+ *   node cli.js <command> --help
+ *
+ * Every experiment parameter is a typed flag, so changing an experiment no
+ * longer means editing source. Flags are validated before anything runs.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { createRng, randomSeed } = require("./random");
+const { BACKENDS } = require("./function_length_backends");
+
+const SEED_FLAG = {
+  type: "integer",
+  min: 0,
+  max: 0xffffffff,
+  description: "Seed for the random number generator (default: random)",
+};
+
+const OUTPUT_FLAG = {
+  type: "string",
+  description: "Write csv, json or html output to this file instead of stdout",
+};
+
+const CHECKPOINT_FLAGS = {
+  checkpoint: {
+    type: "string",
+    description: "Write periodic checkpoints of the run to this file",
+  },
+  "checkpoint-interval": {
+    type: "integer",
+    min: 1,
+    description: "Steps between checkpoints (default: a tenth of --steps)",
+  },
+  resume: {
+    type: "string",
+    description:
+      "Continue a run from this checkpoint (other flags must match the original run)",
+  },
+};
+
+/**
+ * Reads a flag value of the given type, or throws a validation error
+ */
+function parseValue(name, spec, raw) {
+  if (raw === undefined) {
+    throw new Error(`--${name} needs a value`);
+  }
+
+  let value = raw;
+  if (spec.type === "integer") {
+    if (!/^-?\d+$/.test(raw)) {
+      throw new Error(`--${name} must be an integer, got "${raw}"`);
+    }
+    value = Number(raw);
+  } else if (spec.type === "number") {
+    value = Number(raw);
+    if (raw.trim() === "" || !Number.isFinite(value)) {
+      throw new Error(`--${name} must be a number, got "${raw}"`);
+    }
+  } else if (spec.type === "choice" && !spec.choices.includes(raw)) {
+    throw new Error(
+      `--${name} must be one of ${spec.choices.join(", ")}, got "${raw}"`
+    );
+  }
+
+  if (spec.min !== undefined && value < spec.min) {
+    throw new Error(`--${name} must be at least ${spec.min}, got ${value}`);
+  }
+  if (spec.max !== undefined && value > spec.max) {
+    throw new Error(`--${name} must be at most ${spec.max}, got ${value}`);
+  }
+  if (spec.above !== undefined && !(value > spec.above)) {
+    throw new Error(
+      `--${name} must be greater than ${spec.above}, got ${value}`
+    );
+  }
+
+  return value;
+}
+
+function camelCase(name) {
+  return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+/**
+ * Parses "--name value", "--name=value", and boolean "--name",
+ * "--name=true" and "--name=false" flags
+ * @param {string[]} args - Arguments after the command name
+ * @param {Object} flags - Flag specs by name: { type, default, min, max, above, choices, description }
+ * @param {number} maxPositionals - Arguments allowed besides flags (default: 0)
+ * @returns {Object} - options (camelCased flag values with defaults), positionals and help
+ */
+function parseFlags(args, flags, maxPositionals = 0) {
+  const options = {};
+  const positionals = [];
+  let help = false;
+
+  for (const [name, spec] of Object.entries(flags)) {
+    if (spec.default !== undefined) options[camelCase(name)] = spec.default;
+  }
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--help" || arg === "-h") {
+      help = true;
+      continue;
+    }
+    if (!arg.startsWith("--")) {
+      if (positionals.length === maxPositionals) {
+        throw new Error(`Unexpected argument "${arg}"`);
+      }
+      positionals.push(arg);
+      continue;
+    }
+
+    const equals = arg.indexOf("=");
+    const name = arg.slice(2, equals === -1 ? undefined : equals);
+    const spec = flags[name];
+    if (!spec) {
+      throw new Error(`Unknown flag --${name}`);
+    }
+
+    if (spec.type === "boolean") {
+      const raw = equals === -1 ? "true" : arg.slice(equals + 1);
+      if (raw !== "true" && raw !== "false") {
+        throw new Error(`--${name} must be true or false, got "${raw}"`);
+      }
+      options[camelCase(name)] = raw === "true";
+    } else {
+      const raw = equals === -1 ? args[++i] : arg.slice(equals + 1);
+      options[camelCase(name)] = parseValue(name, spec, raw);
+    }
+  }
+
+  return { options, positionals, help };
+}
+
+/**
+ * Prints text output, or writes csv/json/html to --output or stdout
+ */
+function emit(contents, output) {
+  if (output) {
+    fs.mkdirSync(path.dirname(path.resolve(output)), { recursive: true });
+    fs.writeFileSync(output, contents);
+    console.error(`Wrote ${output}`);
+  } else {
+    process.stdout.write(contents);
+  }
+}
+
+/**
+ * Seeded generator for a command, or the saved generator of the checkpoint
+ * being resumed; the seed goes to stderr when stdout carries machine-readable
+ * output
+ */
+function commandRng({ seed = randomSeed(), format, resume }) {
+  const rng = resume
+    ? require("./checkpoint").readCheckpoint(resume).rng
+    : createRng(seed);
+  (format === "text" ? console.log : console.error)(`Seed: ${rng.seed}`);
+  return rng;
+}
+
+/**
+ * Writes samples in the chosen machine-readable format
+ */
+function emitDistribution(samples, { format, output }, metadata, label) {
+  const exporters = require("./exporters");
+  if (format === "csv") {
+    emit(exporters.frequencyToCSV(samples, metadata), output);
+  } else if (format === "json") {
+    emit(exporters.frequencyToJSON(samples, metadata), output);
+  } else if (format === "html") {
+    const { renderHtmlReport } = require("./html_report");
+    emit(
+      renderHtmlReport([{ label, samples }], { title: label, metadata }),
+      output
+    );
+  }
+}
+
+const COMMANDS = {
+  simulate: {
+    summary: "Preferential attachment over a fixed array of elements",
+    flags: {
+      size: {
+        type: "integer",
+        min: 1,
+        default: 10,
+        description: "Number of elements",
+      },
+      iterations: {
+        type: "integer",
+        min: 0,
+        default: 1000,
+        description: "Number of attachment steps",
+      },
+      "initial-weight": {
+        type: "number",
+        min: 0,
+        default: 0,
+        description:
+          "Base weight of every element (0 = plain preferential attachment)",
+      },
+      seed: SEED_FLAG,
+      format: {
+        type: "choice",
+        choices: ["text", "csv", "json", "html"],
+        default: "text",
+        description: "text histogram, counts as csv/json, or an html report",
+      },
+      output: OUTPUT_FLAG,
+    },
+    run(options) {
+      const {
+        preferentialAttachment,
+        preferentialAttachmentWithWeights,
+      } = require("./preferential_attachment");
+      const {
+        createMetadata,
+        countsToCSV,
+        countsToJSON,
+      } = require("./exporters");
+
+      const rng = commandRng(options);
+      const { size, iterations, initialWeight, format } = options;
+      const observers = format === "text" ? undefined : [];
+      const counts =
+        initialWeight > 0
+          ? preferentialAttachmentWithWeights(size, iterations, initialWeight, {
+              rng,
+              observers,
+            })
+          : preferentialAttachment(size, iterations, { rng, observers });
+      if (format === "text") return;
+
+      const generator =
+        initialWeight > 0
+          ? "preferentialAttachmentWithWeights"
+          : "preferentialAttachment";
+      const metadata = createMetadata(
+        generator,
+        { arraySize: size, iterations, initialWeight },
+        rng
+      );
+      if (format === "csv") {
+        emit(countsToCSV(counts, metadata), options.output);
+      } else if (format === "json") {
+        emit(countsToJSON(counts, metadata), options.output);
+      } else {
+        emitDistribution(counts, options, metadata, generator);
+      }
+    },
+  },
+
+  powerlaw: {
+    summary: "Growing population with power-law preferential attachment",
+    flags: {
+      alpha: {
+        type: "number",
+        above: 1,
+        default: 2.5,
+        description: "Power-law exponent",
+      },
+      "x-min": {
+        type: "integer",
+        min: 1,
+        default: 1,
+        description: "Initial number of elements",
+      },
+      steps: {
+        type: "integer",
+        min: 0,
+        default: 1000,
+        description: "Number of growth steps",
+      },
+      "new-element-probability": {
+        type: "number",
+        min: 0,
+        max: 1,
+        default: 0.1,
+        description: "Probability of adding an element each step",
+      },
+      seed: SEED_FLAG,
+      format: {
+        type: "choice",
+        choices: ["text", "csv", "json", "html"],
+        default: "text",
+        description:
+          "text summary, frequency table as csv/json, or an html report",
+      },
+      output: OUTPUT_FLAG,
+      ...CHECKPOINT_FLAGS,
+    },
+    run(options) {
+      const lib = require("./preferential_attachment");
+      const { createMetadata } = require("./exporters");
+
+      const rng = commandRng(options);
+      const { alpha, xMin, steps, newElementProbability, format, resume } =
+        options;
+      // A resumed run keeps writing to the file it resumed from
+      const checkpointPath = options.checkpoint || resume;
+      const values = lib.generatePowerLawPreferentialFast(
+        alpha,
+        xMin,
+        steps,
+        newElementProbability,
+        {
+          rng,
+          checkpoint: checkpointPath && {
+            path: checkpointPath,
+            interval: options.checkpointInterval,
+          },
+          resume,
+        }
+      );
+      const label = `generatePowerLawPreferential (alpha=${alpha})`;
+
+      if (format === "text") {
+        lib.getStats(values, label);
+        lib.showFrequency(values, label);
+        lib.createHistogramGraph(values, `${label} Distribution`);
+        lib.analyzeLogLog(values, label);
+        return;
+      }
+
+      const metadata = createMetadata(
+        "generatePowerLawPreferentialFast",
+        { alpha, xMin, steps, newElementProbability },
+        rng
+      );
+      emitDistribution(values, options, metadata, label);
+    },
+  },
+
+  iterations: {
+    summary: "Samples of generateIterations (growth until a random threshold)",
+    flags: {
+      samples: {
+        type: "integer",
+        min: 1,
+        default: 1000000,
+        description: "Number of samples",
+      },
+      "growth-rate": {
+        type: "number",
+        above: 0,
+        default: 0.1,
+        description: "Growth rate per iteration (0.1 = 10%)",
+      },
+      "initial-sample": {
+        type: "number",
+        above: 0,
+        max: 1,
+        default: 0.01,
+        description: "Starting sample value",
+      },
+      seed: SEED_FLAG,
+      format: {
+        type: "choice",
+        choices: ["text", "csv", "json", "html"],
+        default: "text",
+        description:
+          "text histogram, frequency table as csv/json, or an html report",
+      },
+      output: OUTPUT_FLAG,
+    },
+    run(options) {
+      const {
+        generateIterations,
+        printHistogram,
+      } = require("./preferential_attachment");
+      const { createMetadata } = require("./exporters");
+
+      const rng = commandRng(options);
+      const { samples, growthRate, initialSample, format } = options;
+      const label = `generateIterations (${growthRate} growth)`;
+
+      if (format === "text") {
+        const { createStreamingStats } = require("./streaming_stats");
+        const {
+          iterationDistribution,
+          goodnessOfFit,
+          printGoodnessOfFit,
+        } = require("./iteration_distribution");
+
+        // Accumulate without storing samples, so any sample count fits in memory
+        const stats = createStreamingStats({ quantiles: [] });
+        for (let i = 0; i < samples; i++) {
+          stats.add(generateIterations(growthRate, initialSample, rng));
+        }
+        const exact = iterationDistribution(growthRate, initialSample);
+        printHistogram(stats, `${samples.toLocaleString()} samples`);
+        console.log(`Exact mean: ${exact.mean.toFixed(6)}`);
+        printGoodnessOfFit(goodnessOfFit(stats.histogram(), exact), "Samples");
+        return;
+      }
+
+      const results = [];
+      for (let i = 0; i < samples; i++) {
+        results.push(generateIterations(growthRate, initialSample, rng));
+      }
+      const metadata = createMetadata(
+        "generateIterations",
+        { samples, growthRate, initialSample },
+        rng
+      );
+      emitDistribution(results, options, metadata, label);
+    },
+  },
+
+  "yule-simon": {
+    summary: "Simon's model, compared with the exact Yule–Simon distribution",
+    flags: {
+      p: {
+        type: "number",
+        above: 0,
+        max: 0.999,
+        default: 0.1,
+        description: "Probability that a step founds a new element",
+      },
+      steps: {
+        type: "integer",
+        min: 1,
+        default: 100000,
+        description: "Number of units added",
+      },
+      seed: SEED_FLAG,
+      format: {
+        type: "choice",
+        choices: ["text", "csv", "json", "html"],
+        default: "text",
+        description: "text comparison, sizes as csv/json, or an html report",
+      },
+      output: OUTPUT_FLAG,
+    },
+    run(options) {
+      const {
+        simulateYuleSimon,
+        yuleSimonComparison,
+        printYuleSimonReport,
+      } = require("./yule_simon");
+      const { createMetadata } = require("./exporters");
+
+      const rng = commandRng(options);
+      const { p, steps, format } = options;
+      const counts = simulateYuleSimon(p, steps, { rng });
+      const label = `Simon's model (p=${p})`;
+
+      if (format === "text") {
+        printYuleSimonReport(yuleSimonComparison(counts, p), label);
+        return;
+      }
+
+      const metadata = createMetadata("simulateYuleSimon", { p, steps }, rng);
+      emitDistribution(counts, options, metadata, label);
+    },
+  },
+
+  fit: {
+    summary: "Power-law fit of a line count histogram",
+    usage: "<histogram-file|->",
+    flags: {
+      bootstrap: {
+        type: "integer",
+        min: 0,
+        default: 0,
+        description: "Bootstrap replicates for the goodness-of-fit p-value",
+      },
+      compare: {
+        type: "boolean",
+        description:
+          "Also test lognormal, exponential, stretched exponential and cutoff",
+      },
+      seed: SEED_FLAG,
+      format: {
+        type: "choice",
+        choices: ["text", "json", "html"],
+        default: "text",
+        description: "text summary, fit as json, or an html report",
+      },
+      output: OUTPUT_FLAG,
+    },
+    run(options, [input]) {
+      if (!input) {
+        throw new Error('fit needs a histogram file, or "-" to read stdin');
+      }
+      const {
+        fitPowerLaw,
+        powerLawPValue,
+        printPowerLawFit,
+        parseLineCountHistogram,
+      } = require("./power_law_fit");
+      const {
+        compareDistributions,
+        printComparisonTable,
+      } = require("./distribution_comparison");
+      const { createMetadata } = require("./exporters");
+
+      const rng = commandRng(options);
+      const label = input === "-" ? "stdin" : input;
+      const samples = parseLineCountHistogram(
+        fs.readFileSync(input === "-" ? 0 : input, "utf8")
+      );
+      const fit = fitPowerLaw(samples);
+      if (options.bootstrap > 0) {
+        fit.pValue = powerLawPValue(samples, fit, {
+          replicates: options.bootstrap,
+          rng,
+        });
+      }
+      const comparison = options.compare
+        ? compareDistributions(samples, { fit })
+        : null;
+
+      if (options.format === "text") {
+        printPowerLawFit(fit, label);
+        if (comparison) printComparisonTable(comparison, label);
+        return;
+      }
+
+      const metadata = createMetadata(
+        "fitPowerLaw",
+        { input, bootstrap: options.bootstrap },
+        rng
+      );
+      if (options.format === "json") {
+        emit(
+          JSON.stringify(
+            {
+              metadata,
+              fit,
+              comparisons: comparison && comparison.comparisons,
+            },
+            null,
+            2
+          ) + "\n",
+          options.output
+        );
+      } else {
+        emitDistribution(samples, options, metadata, label);
+      }
+    },
+  },
+
+  "count-lines": {
+    summary:
+      "Histogram of function lengths in a checkout, bare repository, tarball or git URL",
+    usage: "<path|bare-repo|tarball|repo-url>",
+    flags: {
+      backend: {
+        type: "choice",
+        choices: Object.keys(BACKENDS),
+        default: "eslint",
+        description:
+          "eslint (JavaScript), clang-tidy or simple (C++), or tree-sitter (C++, JavaScript, TypeScript, Python, Java, Go, Rust)",
+      },
+      language: {
+        type: "string",
+        description:
+          "Keep only the functions of this language, e.g. Python (default: all)",
+      },
+      exclusive: {
+        type: "boolean",
+        description:
+          "Measure functions without the functions and lambdas nested in them (tree-sitter)",
+      },
+      format: {
+        type: "choice",
+        choices: ["histogram", "csv", "jsonl"],
+        default: "histogram",
+        description:
+          "histogram with the longest functions, or one record per function as csv/jsonl",
+      },
+      output: {
+        type: "string",
+        description:
+          "Write csv or jsonl records to this file instead of stdout",
+      },
+    },
+    run(options, [source]) {
+      if (!source) {
+        throw new Error(
+          "count-lines needs a directory, bare repository, tarball or URL"
+        );
+      }
+      const { analyzeRepo } = require("./function_length_analyzer");
+      analyzeRepo(source, options.backend, {
+        language: options.language,
+        exclusive: options.exclusive,
+        format: options.format,
+        output: options.output,
+      });
+    },
+  },
+};
+
+function describeFlag(name, spec) {
+  const value =
+    spec.type === "boolean"
+      ? ""
+      : spec.type === "choice"
+      ? ` <${spec.choices.join("|")}>`
+      : ` <${spec.type}>`;
+  const fallback =
+    spec.default !== undefined ? ` (default: ${spec.default})` : "";
+  return `  --${name}${value}\n      ${spec.description}${fallback}`;
+}
+
+function commandHelp(name) {
+  const command = COMMANDS[name];
+  return [
+    `Usage: node cli.js ${name}${
+      command.usage ? ` ${command.usage}` : ""
+    } [flags]`,
+    "",
+    command.summary,
+    "",
+    "Flags:",
+    ...Object.entries(command.flags).map(([flag, spec]) =>
+      describeFlag(flag, spec)
+    ),
+    "  --help\n      Show this help",
+  ].join("\n");
+}
+
+function generalHelp() {
+  const width = Math.max(...Object.keys(COMMANDS).map((name) => name.length));
+  return [
+    "Usage: node cli.js <command> [flags]",
+    "",
+    "Commands:",
+    ...Object.entries(COMMANDS).map(
+      ([name, command]) => `  ${name.padEnd(width)}  ${command.summary}`
+    ),
+    "",
+    'Run "node cli.js <command> --help" for the flags of a command.',
+  ].join("\n");
+}
+
+/**
+ * Runs one command line
+ * @param {string[]} argv - Arguments after "node cli.js"
+ * @returns {number} - Exit code
+ */
+function runCli(argv) {
+  const [name, ...rest] = argv;
+  if (!name || name === "--help" || name === "-h" || name === "help") {
+    console.log(generalHelp());
+    return name ? 0 : 1;
+  }
+
+  const command = COMMANDS[name];
+  if (!command) {
+    console.error(`Unknown command: ${name}\n\n${generalHelp()}`);
+    return 1;
+  }
+
+  let parsed;
+  try {
+    // One positional argument per word of the usage line
+    parsed = parseFlags(
+      rest,
+      command.flags,
+      command.usage ? command.usage.split(/\s+/).length : 0
+    );
+  } catch (error) {
+    console.error(`Error: ${error.message}\n\n${commandHelp(name)}`);
+    return 1;
+  }
+  if (parsed.help) {
+    console.log(commandHelp(name));
+    return 0;
+  }
+
+  try {
+    command.run(parsed.options, parsed.positionals);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return 1;
+  }
+  return process.exitCode || 0;
+}
+
+module.exports = {
+  parseFlags,
+  runCli,
+};
+
+if (require.main === module) {
+  process.exitCode = runCli(process.argv.slice(2));
+}
@@ -0,0 +1,349 @@
+/**
+ * Likelihood-ratio comparison of a power-law fit against other heavy-tailed
+ * distributions (Clauset, Shalizi & Newman 2009, section 5).
+ *
+ * Every alternative is fitted by maximum likelihood to the same tail
+ * x >= xmin as the power law, as a discrete distribution. Non-nested
+ * alternatives use Vuong's test; the power law with cutoff contains the
+ * pure power law, so it uses the nested chi-square test instead.
+ */
+
+const fs = require("fs");
+const { rngFromArgs } = require("./random");
+const { hurwitzZeta, nelderMead, erfc, normalSurvival } = require("./numerics");
+const { fitPowerLaw, parseLineCountHistogram } = require("./power_law_fit");
+
+/**
+ * Per-sample log-likelihoods of the fitted discrete power law
+ */
+function powerLawLogLikelihoods(tail, { alpha, xmin }) {
+  const logNormaliser = Math.log(hurwitzZeta(alpha, xmin));
+  return tail.map((x) => -alpha * Math.log(x) - logNormaliser);
+}
+
+/**
+ * Discrete exponential p(x) = (1 - e^-lambda) e^(-lambda (x - xmin)),
+ * whose maximum-likelihood lambda has a closed form
+ */
+function fitExponential(tail, xmin) {
+  const meanExcess = tail.reduce((sum, x) => sum + (x - xmin), 0) / tail.length;
+  const lambda = Math.log(1 + 1 / meanExcess);
+  const logNormaliser = Math.log(-Math.expm1(-lambda));
+
+  return {
+    parameters: { lambda },
+    logLikelihoods: tail.map((x) => logNormaliser - lambda * (x - xmin)),
+  };
+}
+
+/**
+ * Log-probability of x under a lognormal discretised onto [x, x + 1) and
+ * truncated at xmin
+ */
+function lognormalLogProbability(x, mu, sigma, logTailMass) {
+  const zLow = (Math.log(x) - mu) / sigma;
+  const zHigh = (Math.log(x + 1) - mu) / sigma;
+  const low = normalSurvival(zLow);
+  let mass = low - normalSurvival(zHigh);
+
+  // Far in the tail the two survival values agree to more digits than erfc
+  // carries; use the density at the midpoint instead
+  if (!(mass > low * 1e-4)) {
+    const midpoint = x + 0.5;
+    const z = (Math.log(midpoint) - mu) / sigma;
+    mass = Math.exp(-0.5 * z * z) / (Math.sqrt(2 * Math.PI) * sigma * midpoint);
+  }
+
+  return Math.log(mass) - logTailMass;
+}
+
+function fitLognormal(tail, xmin) {
+  const logs = tail.map(Math.log);
+  const meanLog = logs.reduce((a, b) => a + b, 0) / logs.length;
+  const sdLog = Math.sqrt(
+    logs.reduce((sum, l) => sum + (l - meanLog) ** 2, 0) / logs.length
+  );
+
+  const logLikelihoods = ([mu, logSigma]) => {
+    const sigma = Math.exp(logSigma);
+    const logTailMass = Math.log(normalSurvival((Math.log(xmin) - mu) / sigma));
+    return tail.map((x) => lognormalLogProbability(x, mu, sigma, logTailMass));
+  };
+
+  const { point } = nelderMead(
+    (params) => -sum(logLikelihoods(params)),
+    [meanLog, Math.log(Math.max(sdLog, 0.1))]
+  );
+
+  return {
+    parameters: { mu: point[0], sigma: Math.exp(point[1]) },
+    logLikelihoods: logLikelihoods(point),
+  };
+}
+
+/**
+ * Discrete stretched exponential (Weibull):
+ * p(x) = e^((lambda xmin)^beta - (lambda x)^beta) (1 - e^((lambda x)^beta - (lambda (x + 1))^beta))
+ */
+function fitStretchedExponential(tail, xmin) {
+  const mean = tail.reduce((a, b) => a + b, 0) / tail.length;
+
+  const logLikelihoods = ([logLambda, logBeta]) => {
+    const lambda = Math.exp(logLambda);
+    const beta = Math.exp(logBeta);
+    const offset = Math.pow(lambda * xmin, beta);
+    return tail.map((x) => {
+      const here = Math.pow(lambda * x, beta);
+      const next = Math.pow(lambda * (x + 1), beta);
+      return offset - here + Math.log(-Math.expm1(here - next));
+    });
+  };
+
+  const { point } = nelderMead(
+    (params) => -sum(logLikelihoods(params)),
+    [-Math.log(mean), Math.log(0.5)]
+  );
+
+  return {
+    parameters: { lambda: Math.exp(point[0]), beta: Math.exp(point[1]) },
+    logLikelihoods: logLikelihoods(point),
+  };
+}
+
+/**
+ * Normalising constant sum_{x >= xmin} x^-alpha e^(-lambda x). The first
+ * terms are summed exactly; the rest as an integral in log space by
+ * Simpson's rule, which stays short even when lambda is tiny.
+ */
+function cutoffNormaliser(alpha, lambda, xmin) {
+  const exactTerms = 1000;
+  let total = 0;
+  for (let x = xmin; x < xmin + exactTerms; x++) {
+    total += Math.pow(x, -alpha) * Math.exp(-lambda * x);
+  }
+
+  // integral from a of x^-alpha e^(-lambda x) dx, with x = e^u
+  const a = xmin + exactTerms - 0.5;
+  const logIntegrand = (u) => u * (1 - alpha) - lambda * Math.exp(u);
+  const start = Math.log(a);
+  const limits = [];
+  if (alpha > 1) limits.push(start + 40 / (alpha - 1));
+  if (lambda > 0) limits.push(Math.log(a + 40 / lambda));
+  if (limits.length === 0) return Infinity;
+  const end = Math.min(...limits);
+
+  const intervals = 2000;
+  const width = (end - start) / intervals;
+  let integral = 0;
+  for (let i = 0; i <= intervals; i++) {
+    const weight = i === 0 || i === intervals ? 1 : i % 2 === 0 ? 2 : 4;
+    integral += weight * Math.exp(logIntegrand(start + i * width));
+  }
+
+  return total + (integral * width) / 3;
+}
+
+function fitPowerLawWithCutoff(tail, xmin, alpha) {
+  const logSum = sum(tail.map(Math.log));
+  const linearSum = sum(tail);
+
+  const totalLogLikelihood = ([a, logLambda]) => {
+    const lambda = Math.exp(logLambda);
+    return (
+      -a * logSum -
+      lambda * linearSum -
+      tail.length * Math.log(cutoffNormaliser(a, lambda, xmin))
+    );
+  };
+
+  const { point } = nelderMead(
+    (params) => -totalLogLikelihood(params),
+    [alpha, Math.log(1 / (linearSum / tail.length) / 10)]
+  );
+
+  const [a, logLambda] = point;
+  const lambda = Math.exp(logLambda);
+  const logNormaliser = Math.log(cutoffNormaliser(a, lambda, xmin));
+
+  return {
+    parameters: { alpha: a, lambda },
+    logLikelihoods: tail.map(
+      (x) => -a * Math.log(x) - lambda * x - logNormaliser
+    ),
+  };
+}
+
+function sum(values) {
+  return values.reduce((a, b) => a + b, 0);
+}
+
+/**
+ * Vuong's test for non-nested models
+ * @param {number[]} first - Per-sample log-likelihoods of the power law
+ * @param {number[]} second - Per-sample log-likelihoods of the alternative
+ * @returns {Object} - ratio R (> 0 favours the power law), normalizedRatio and pValue
+ */
+function vuongTest(first, second) {
+  const n = first.length;
+  const differences = first.map((l, i) => l - second[i]);
+  const ratio = sum(differences);
+  const mean = ratio / n;
+  const variance = sum(differences.map((d) => (d - mean) ** 2)) / n;
+
+  if (variance === 0) {
+    return { ratio, normalizedRatio: 0, pValue: 1 };
+  }
+
+  const normalizedRatio = ratio / Math.sqrt(n * variance);
+  return {
+    ratio,
+    normalizedRatio,
+    pValue: erfc(Math.abs(normalizedRatio) / Math.SQRT2),
+  };
+}
+
+/**
+ * Likelihood-ratio test for nested models with one extra parameter
+ * @param {number[]} first - Per-sample log-likelihoods of the power law
+ * @param {number[]} second - Per-sample log-likelihoods of the larger model
+ * @returns {Object} - ratio R (> 0 favours the power law) and pValue
+ */
+function nestedTest(first, second) {
+  const ratio = sum(first) - sum(second);
+  // 2|R| is chi-square with one degree of freedom
+  return {
+    ratio,
+    normalizedRatio: null,
+    pValue: erfc(Math.sqrt(Math.abs(ratio))),
+  };
+}
+
+/**
+ * Compares a power-law fit with lognormal, exponential, stretched exponential
+ * and power law with cutoff, on the tail above the power law's xmin
+ * @param {number[]} samples - Positive integer samples (e.g. allLineCounts)
+ * @param {Object} options - Optional settings
+ * @param {Object} options.fit - Existing fitPowerLaw result (default: fitted here)
+ * @param {number} options.significance - p-value below which the sign is trusted (default: 0.1)
+ * @returns {Object} - The power-law fit and one comparison row per alternative
+ */
+function compareDistributions(
+  samples,
+  { fit = fitPowerLaw(samples), significance = 0.1 } = {}
+) {
+  const tail = samples.filter((x) => x >= fit.xmin);
+  const powerLaw = powerLawLogLikelihoods(tail, fit);
+
+  const alternatives = [
+    ["lognormal", fitLognormal(tail, fit.xmin), vuongTest],
+    ["exponential", fitExponential(tail, fit.xmin), vuongTest],
+    [
+      "stretched exponential",
+      fitStretchedExponential(tail, fit.xmin),
+      vuongTest,
+    ],
+    [
+      "power law with cutoff",
+      fitPowerLawWithCutoff(tail, fit.xmin, fit.alpha),
+      nestedTest,
+    ],
+  ];
+
+  const comparisons = alternatives.map(([name, alternative, test]) => {
+    const result = test(powerLaw, alternative.logLikelihoods);
+    let favoured = "inconclusive";
+    if (result.pValue < significance) {
+      favoured = result.ratio > 0 ? "power law" : name;
+    }
+
+    return {
+      alternative: name,
+      parameters: alternative.parameters,
+      logLikelihoodRatio: result.ratio,
+      normalizedRatio: result.normalizedRatio,
+      sign: Math.sign(result.ratio),
+      pValue: result.pValue,
+      favoured,
+    };
+  });
+
+  return { fit, comparisons };
+}
+
+/**
+ * Print the verdict table of compareDistributions
+ * @param {Object} result - Result of compareDistributions
+ * @param {string} label - Heading for the printed block
+ */
+function printComparisonTable({ fit, comparisons }, label) {
+  console.log(`\n=== ${label} Power Law vs Alternatives ===`);
+  console.log(
+    `Power law: alpha = ${fit.alpha.toFixed(3)}, xmin = ${fit.xmin}, tail = ${
+      fit.nTail
+    }`
+  );
+  console.log(
+    `${"Alternative".padEnd(24)} ${"LLR".padStart(10)} ${"Sign".padStart(
+      5
+    )} ${"p-value".padStart(8)}  Favoured`
+  );
+
+  for (const row of comparisons) {
+    const sign = row.sign > 0 ? "+" : row.sign < 0 ? "-" : "0";
+    console.log(
+      `${row.alternative.padEnd(24)} ${row.logLikelihoodRatio
+        .toFixed(3)
+        .padStart(10)} ${sign.padStart(5)} ${row.pValue
+        .toFixed(4)
+        .padStart(8)}  ${row.favoured}`
+    );
+  }
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const rng = rngFromArgs();
+  const input = args.find(
+    (arg, i) => !arg.startsWith("--") && args[i - 1] !== "--seed"
+  );
+
+  console.log(`Seed: ${rng.seed}`);
+
+  const datasets = [];
+  if (input) {
+    // Compare the histogram printed by a line counter script ("-" reads stdin)
+    const text = fs.readFileSync(input === "-" ? 0 : input, "utf8");
+    datasets.push([
+      input === "-" ? "stdin" : input,
+      parseLineCountHistogram(text),
+    ]);
+  } else {
+    const { generateIterations } = require("./iteration_distribution");
+    const { generatePowerLawPreferentialFast } = require("./weighted_sampler");
+
+    const iterationSamples = [];
+    for (let i = 0; i < 10000; i++) {
+      iterationSamples.push(generateIterations(0.1, 0.01, rng));
+    }
+    datasets.push(["generateIterations (0.1 growth)", iterationSamples]);
+    datasets.push([
+      "generatePowerLawPreferential (alpha=2.5)",
+      generatePowerLawPreferentialFast(2.5, 1, 100000, 0.1, { rng }),
+    ]);
+  }
+
+  for (const [label, samples] of datasets) {
+    printComparisonTable(compareDistributions(samples), label);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  compareDistributions,
+  vuongTest,
+  nestedTest,
+  printComparisonTable,
+};
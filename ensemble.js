@@ -0,0 +1,341 @@
+/**
+ * Monte Carlo ensembles of independent simulation runs.
+ *
+ * One run of a simulation is a single random realisation, so statistics such
+ * as the Gini coefficient vary a lot between runs. The ensemble runner spreads
+ * replicates across worker threads, gives each replicate its own seed derived
+ * from a master seed, and aggregates the final-state statistics.
+ *
+ * Replicate r always uses deriveSeed(seed, r), so the results do not depend
+ * on how many workers share the work.
+ */
+
+const os = require("os");
+const {
+  Worker,
+  isMainThread,
+  parentPort,
+  workerData,
+} = require("worker_threads");
+const { createRng, deriveSeed, randomSeed, rngFromArgs } = require("./random");
+const { calculateGini, topShare } = require("./inequality_metrics");
+
+/**
+ * Simulations an ensemble can run. Each takes its parameters and an rng and
+ * returns the final counts. The fast samplers are used where they exist
+ * because they draw from the same distributions as the reference
+ * implementations.
+ */
+const MODELS = {
+  preferentialAttachment: ({ arraySize = 10, iterations = 1000 }, rng) => {
+    const { preferentialAttachmentFast } = require("./weighted_sampler");
+    return preferentialAttachmentFast(arraySize, iterations, { rng });
+  },
+  preferentialAttachmentWithWeights: (
+    { arraySize = 10, iterations = 1000, initialWeight = 1 },
+    rng
+  ) => {
+    const {
+      preferentialAttachmentWithWeights,
+    } = require("./preferential_attachment");
+    return preferentialAttachmentWithWeights(
+      arraySize,
+      iterations,
+      initialWeight,
+      { rng, observers: [] }
+    );
+  },
+  powerLaw: (
+    { alpha = 2.5, xMin = 1, steps = 1000, newElementProbability = 0.1 },
+    rng
+  ) => {
+    const { generatePowerLawPreferentialFast } = require("./weighted_sampler");
+    return generatePowerLawPreferentialFast(
+      alpha,
+      xMin,
+      steps,
+      newElementProbability,
+      { rng }
+    );
+  },
+};
+
+// Two-sided 97.5% quantiles of Student's t for 1 to 30 degrees of freedom
+const T_975 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228, 2.201,
+  2.179, 2.16, 2.145, 2.131, 2.12, 2.11, 2.101, 2.093, 2.086, 2.08, 2.074,
+  2.069, 2.064, 2.06, 2.056, 2.052, 2.048, 2.045, 2.042,
+];
+
+/**
+ * Final-state statistics of one replicate
+ * @param {number[]} counts - Final counts
+ * @returns {Object} - gini, leaderShare, top10Share, alpha (null when no fit) and rankFrequency
+ */
+function replicateStatistics(counts) {
+  const { fitPowerLaw, canFitPowerLaw } = require("./power_law_fit");
+
+  const rankFrequency = counts
+    .filter((count) => count > 0)
+    .sort((a, b) => b - a);
+  const total = rankFrequency.reduce((a, b) => a + b, 0);
+
+  return {
+    gini: calculateGini(counts),
+    leaderShare: total > 0 ? rankFrequency[0] / total : 0,
+    top10Share: topShare(counts, 0.1),
+    // Too few distinct counts to fit a tail leaves this replicate out
+    alpha: canFitPowerLaw(rankFrequency)
+      ? fitPowerLaw(rankFrequency).alpha
+      : null,
+    rankFrequency,
+  };
+}
+
+/**
+ * Runs replicates of a model in the current thread
+ * @param {string} model - Key of MODELS
+ * @param {Object} parameters - Model parameters
+ * @param {number} seed - Master seed
+ * @param {number[]} replicates - Replicate indices to run
+ * @returns {Object[]} - Statistics of each replicate, with its index and seed
+ */
+function runReplicates(model, parameters, seed, replicates) {
+  const simulate = MODELS[model];
+  if (!simulate) {
+    throw new Error(
+      `Unknown model: ${model} (expected ${Object.keys(MODELS).join(", ")})`
+    );
+  }
+
+  return replicates.map((replicate) => {
+    const replicateSeed = deriveSeed(seed, replicate);
+    const counts = simulate(parameters, createRng(replicateSeed));
+    return {
+      replicate,
+      seed: replicateSeed,
+      ...replicateStatistics(counts),
+    };
+  });
+}
+
+/**
+ * Mean, sample standard deviation and confidence interval of the mean
+ * @param {number[]} values - Observations (null entries are ignored)
+ * @returns {Object} - n, mean, sd, lower and upper (95% interval)
+ */
+function summariseReplicates(values) {
+  const present = values.filter((value) => value !== null);
+  const n = present.length;
+  if (n === 0) return { n, mean: NaN, sd: NaN, lower: NaN, upper: NaN };
+
+  const mean = present.reduce((a, b) => a + b, 0) / n;
+  const sd =
+    n > 1
+      ? Math.sqrt(
+          present.reduce((sum, x) => sum + (x - mean) ** 2, 0) / (n - 1)
+        )
+      : 0;
+  const critical = n - 1 <= T_975.length ? T_975[n - 2] : 1.96;
+  const halfWidth = n > 1 ? (critical * sd) / Math.sqrt(n) : 0;
+
+  return { n, mean, sd, lower: mean - halfWidth, upper: mean + halfWidth };
+}
+
+/**
+ * Mean count at each rank, over the replicates that have an element there
+ * @param {number[][]} curves - Descending counts of each replicate
+ * @returns {Object[]} - { rank, meanCount, replicates } per rank, starting at 1
+ */
+function averageRankFrequency(curves) {
+  const length = Math.max(0, ...curves.map((curve) => curve.length));
+  const averaged = [];
+
+  for (let i = 0; i < length; i++) {
+    let sum = 0;
+    let present = 0;
+    for (const curve of curves) {
+      if (i < curve.length) {
+        sum += curve[i];
+        present++;
+      }
+    }
+    averaged.push({
+      rank: i + 1,
+      meanCount: sum / present,
+      replicates: present,
+    });
+  }
+
+  return averaged;
+}
+
+function runWorker(model, parameters, seed, replicates) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(__filename, {
+      workerData: { model, parameters, seed, replicates },
+    });
+    let results = null;
+    worker.once("message", (message) => {
+      results = message;
+    });
+    worker.once("error", reject);
+    worker.once("exit", (code) => {
+      if (results) resolve(results);
+      else reject(new Error(`Ensemble worker stopped with exit code ${code}`));
+    });
+  });
+}
+
+/**
+ * Runs independent replicates of a model across worker threads
+ * @param {string} model - "preferentialAttachment", "preferentialAttachmentWithWeights" or "powerLaw"
+ * @param {Object} parameters - Model parameters, named like the arguments of the model's function
+ * @param {Object} options - Optional settings
+ * @param {number} options.replicates - Number of runs (default: 20)
+ * @param {number} options.seed - Master seed (default: random)
+ * @param {number} options.workers - Worker threads (default: number of CPUs)
+ * @returns {Promise<Object>} - seed, per-replicate results, summary statistics and rankFrequency
+ */
+async function runEnsemble(
+  model,
+  parameters = {},
+  { replicates = 20, seed = randomSeed(), workers = os.cpus().length } = {}
+) {
+  if (!MODELS[model]) {
+    throw new Error(
+      `Unknown model: ${model} (expected ${Object.keys(MODELS).join(", ")})`
+    );
+  }
+  if (!Number.isInteger(replicates) || replicates < 1) {
+    throw new RangeError(
+      `Replicates must be a positive integer, got ${replicates}`
+    );
+  }
+
+  const workerCount = Math.max(1, Math.min(workers, replicates));
+  const assignments = Array.from({ length: workerCount }, () => []);
+  for (let r = 0; r < replicates; r++) {
+    assignments[r % workerCount].push(r);
+  }
+
+  const batches = await Promise.all(
+    assignments.map((batch) => runWorker(model, parameters, seed, batch))
+  );
+  const results = batches.flat().sort((a, b) => a.replicate - b.replicate);
+
+  return {
+    model,
+    parameters,
+    seed,
+    replicates: results,
+    summary: {
+      gini: summariseReplicates(results.map((r) => r.gini)),
+      leaderShare: summariseReplicates(results.map((r) => r.leaderShare)),
+      top10Share: summariseReplicates(results.map((r) => r.top10Share)),
+      alpha: summariseReplicates(results.map((r) => r.alpha)),
+    },
+    rankFrequency: averageRankFrequency(results.map((r) => r.rankFrequency)),
+  };
+}
+
+/**
+ * Print the summary table and a few points of the averaged rank-frequency curve
+ * @param {Object} ensemble - Result of runEnsemble
+ */
+function printEnsembleReport({
+  model,
+  seed,
+  replicates,
+  summary,
+  rankFrequency,
+}) {
+  console.log(
+    `\n=== ENSEMBLE: ${model}, ${replicates.length} replicates (seed ${seed}) ===`
+  );
+  console.log(
+    `${"Statistic".padEnd(14)} ${"n".padStart(4)} ${"Mean".padStart(
+      8
+    )} ${"SD".padStart(8)}  95% CI`
+  );
+
+  const labels = {
+    gini: "Gini",
+    leaderShare: "Leader share",
+    top10Share: "Top 10% share",
+    alpha: "Fitted alpha",
+  };
+  for (const [key, label] of Object.entries(labels)) {
+    const { n, mean, sd, lower, upper } = summary[key];
+    console.log(
+      `${label.padEnd(14)} ${String(n).padStart(4)} ${mean
+        .toFixed(3)
+        .padStart(8)} ${sd.toFixed(3).padStart(8)}  [${lower.toFixed(
+        3
+      )}, ${upper.toFixed(3)}]`
+    );
+  }
+
+  console.log("\nAveraged rank-frequency curve:");
+  for (let rank = 1; rank <= rankFrequency.length; rank *= 10) {
+    const { meanCount, replicates: present } = rankFrequency[rank - 1];
+    console.log(
+      `  Rank ${rank.toLocaleString().padStart(7)}: ${meanCount
+        .toFixed(1)
+        .padStart(10)} (${present} replicates)`
+    );
+  }
+}
+
+function optionFromArgs(args, name, fallback) {
+  const index = args.indexOf(`--${name}`);
+  if (index === -1) return fallback;
+  const value = Number(args[index + 1]);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new RangeError(`Invalid --${name} value: ${args[index + 1]}`);
+  }
+  return value;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const { seed } = rngFromArgs();
+  const replicates = optionFromArgs(args, "replicates", 20);
+  const workers = optionFromArgs(args, "workers", os.cpus().length);
+
+  console.log(`Seed: ${seed}`);
+
+  printEnsembleReport(
+    await runEnsemble(
+      "preferentialAttachmentWithWeights",
+      { arraySize: 100, iterations: 10000, initialWeight: 1 },
+      { replicates, seed, workers }
+    )
+  );
+  printEnsembleReport(
+    await runEnsemble(
+      "powerLaw",
+      { alpha: 2.5, xMin: 1, steps: 20000, newElementProbability: 0.1 },
+      { replicates, seed, workers }
+    )
+  );
+}
+
+module.exports = {
+  runEnsemble,
+  runReplicates,
+  replicateStatistics,
+  summariseReplicates,
+  averageRankFrequency,
+  printEnsembleReport,
+};
+
+if (!isMainThread && workerData && workerData.model) {
+  const { model, parameters, seed, replicates } = workerData;
+  parentPort.postMessage(runReplicates(model, parameters, seed, replicates));
+} else if (require.main === module) {
+  main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
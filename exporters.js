@@ -0,0 +1,364 @@
+/**
+ * File exporters for simulation output.
+ *
+ * Counts and frequency tables export as CSV or JSON; attachment graphs
+ * export as GraphML (networkx, Gephi), GEXF (Gephi), DOT (Graphviz) or a
+ * plain edge list. Every file starts with a metadata header recording the
+ * generator, its parameters and the seed. Function records from the
+ * function-length analyzer export as CSV or JSON Lines.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Builds the metadata header written into every export
+ * @param {string} generator - Name of the function or model that produced the data
+ * @param {Object} parameters - Parameters the generator was called with
+ * @param {Function|number} rngOrSeed - Seeded generator from random.js, or a seed (optional)
+ * @returns {Object} - Metadata with generator, parameters, seed and createdAt
+ */
+function createMetadata(generator, parameters = {}, rngOrSeed = null) {
+  const seed =
+    typeof rngOrSeed === "function" ? rngOrSeed.seed ?? null : rngOrSeed;
+  return {
+    generator,
+    parameters,
+    seed,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Flattens metadata into "key: value" lines for comment headers
+ * @param {Object} metadata - Metadata from createMetadata
+ * @returns {string[]} - Header lines without comment markers
+ */
+function metadataLines(metadata = {}) {
+  const lines = [];
+  for (const [key, value] of Object.entries(metadata)) {
+    if (key === "parameters") {
+      for (const [name, parameter] of Object.entries(value || {})) {
+        lines.push(`parameter.${name}: ${JSON.stringify(parameter)}`);
+      }
+    } else {
+      lines.push(`${key}: ${value}`);
+    }
+  }
+  return lines;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Builds a frequency table: how many samples took each value
+ * @param {number[]} samples - Sample values
+ * @returns {Object[]} - {value, frequency, percentage} rows sorted by value
+ */
+function frequencyTable(samples) {
+  const freq = new Map();
+  samples.forEach((val) => {
+    freq.set(val, (freq.get(val) || 0) + 1);
+  });
+
+  return Array.from(freq.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([value, frequency]) => ({
+      value,
+      frequency,
+      percentage: (frequency / samples.length) * 100,
+    }));
+}
+
+function countsToCSV(counts, metadata = createMetadata("countsToCSV")) {
+  const rows = metadataLines(metadata).map((line) => `# ${line}`);
+  rows.push("index,count");
+  counts.forEach((count, index) => rows.push(`${index},${count}`));
+  return rows.join("\n") + "\n";
+}
+
+function countsToJSON(counts, metadata = createMetadata("countsToJSON")) {
+  return JSON.stringify({ metadata, counts }, null, 2) + "\n";
+}
+
+function frequencyToCSV(samples, metadata = createMetadata("frequencyToCSV")) {
+  const rows = metadataLines(metadata).map((line) => `# ${line}`);
+  rows.push("value,frequency,percentage");
+  for (const { value, frequency, percentage } of frequencyTable(samples)) {
+    rows.push(`${value},${frequency},${percentage.toFixed(3)}`);
+  }
+  return rows.join("\n") + "\n";
+}
+
+function frequencyToJSON(
+  samples,
+  metadata = createMetadata("frequencyToJSON")
+) {
+  return (
+    JSON.stringify(
+      {
+        metadata,
+        samples: samples.length,
+        frequencies: frequencyTable(samples),
+      },
+      null,
+      2
+    ) + "\n"
+  );
+}
+
+function graphToGraphML(graph, metadata = createMetadata("graphToGraphML")) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    `  <desc>${escapeXml(metadataLines(metadata).join("; "))}</desc>`,
+    '  <key id="degree" for="node" attr.name="degree" attr.type="int"/>',
+  ];
+
+  const graphData = metadataLines(metadata).map((line) => {
+    const separator = line.indexOf(": ");
+    return [line.slice(0, separator), line.slice(separator + 2)];
+  });
+  graphData.forEach(([key], i) =>
+    lines.push(
+      `  <key id="g${i}" for="graph" attr.name="${escapeXml(
+        key
+      )}" attr.type="string"/>`
+    )
+  );
+
+  lines.push('  <graph id="G" edgedefault="undirected">');
+  graphData.forEach(([, value], i) =>
+    lines.push(`    <data key="g${i}">${escapeXml(value)}</data>`)
+  );
+  graph.adjacency.forEach((neighbours, node) => {
+    lines.push(
+      `    <node id="n${node}"><data key="degree">${neighbours.length}</data></node>`
+    );
+  });
+  graph.edges.forEach(([source, target], i) => {
+    lines.push(
+      `    <edge id="e${i}" source="n${source}" target="n${target}"/>`
+    );
+  });
+  lines.push("  </graph>", "</graphml>");
+
+  return lines.join("\n") + "\n";
+}
+
+function graphToGEXF(graph, metadata = createMetadata("graphToGEXF")) {
+  const lastModified = (metadata.createdAt || new Date().toISOString()).slice(
+    0,
+    10
+  );
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+    `  <meta lastmodifieddate="${lastModified}">`,
+    `    <creator>${escapeXml(metadata.generator || "")}</creator>`,
+    `    <description>${escapeXml(
+      metadataLines(metadata).join("; ")
+    )}</description>`,
+    "  </meta>",
+    '  <graph mode="static" defaultedgetype="undirected">',
+    '    <attributes class="node">',
+    '      <attribute id="0" title="degree" type="integer"/>',
+    "    </attributes>",
+    "    <nodes>",
+  ];
+
+  graph.adjacency.forEach((neighbours, node) => {
+    lines.push(
+      `      <node id="${node}" label="${node}"><attvalues><attvalue for="0" value="${neighbours.length}"/></attvalues></node>`
+    );
+  });
+  lines.push("    </nodes>", "    <edges>");
+  graph.edges.forEach(([source, target], i) => {
+    lines.push(`      <edge id="${i}" source="${source}" target="${target}"/>`);
+  });
+  lines.push("    </edges>", "  </graph>", "</gexf>");
+
+  return lines.join("\n") + "\n";
+}
+
+function graphToDOT(graph, metadata = createMetadata("graphToDOT")) {
+  const lines = metadataLines(metadata).map((line) => `// ${line}`);
+  lines.push("graph G {");
+  if (metadata && metadata.generator) {
+    lines.push(`  label="${String(metadata.generator).replace(/"/g, '\\"')}";`);
+  }
+  graph.adjacency.forEach((neighbours, node) => {
+    lines.push(`  ${node} [degree=${neighbours.length}];`);
+  });
+  graph.edges.forEach(([source, target]) => {
+    lines.push(`  ${source} -- ${target};`);
+  });
+  lines.push("}");
+
+  return lines.join("\n") + "\n";
+}
+
+function graphToEdgeList(graph, metadata = createMetadata("graphToEdgeList")) {
+  const lines = metadataLines(metadata).map((line) => `# ${line}`);
+  graph.edges.forEach(([source, target]) => lines.push(`${source} ${target}`));
+  return lines.join("\n") + "\n";
+}
+
+const FUNCTION_RECORD_FIELDS = [
+  "file",
+  "name",
+  "startLine",
+  "endLine",
+  "lineCount",
+  "kind",
+  "language",
+  "id",
+  "parent",
+  "parentId",
+  "exclusiveLineCount",
+];
+
+// Fields a record does not have, or null ones, are left empty
+function csvField(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One CSV row per function record, after the metadata header
+ * @param {Object[]} records - Function records, see function_length_backends.js
+ * @param {Object} metadata - Header from createMetadata (default: one naming this exporter)
+ * @returns {string} - CSV text
+ */
+function functionRecordsToCSV(
+  records,
+  metadata = createMetadata("functionRecordsToCSV")
+) {
+  const rows = metadataLines(metadata).map((line) => `# ${line}`);
+  rows.push(FUNCTION_RECORD_FIELDS.join(","));
+  records.forEach((record) =>
+    rows.push(
+      FUNCTION_RECORD_FIELDS.map((field) => csvField(record[field])).join(",")
+    )
+  );
+  return rows.join("\n") + "\n";
+}
+
+/**
+ * One JSON object per line per function record. JSON Lines has no room for
+ * a header, so the metadata is not written.
+ * @param {Object[]} records - Function records, see function_length_backends.js
+ * @returns {string} - JSON Lines text
+ */
+function functionRecordsToJSONL(records) {
+  return records
+    .map(
+      (record) =>
+        JSON.stringify(
+          Object.fromEntries(
+            FUNCTION_RECORD_FIELDS.map((field) => [field, record[field]])
+          )
+        ) + "\n"
+    )
+    .join("");
+}
+
+const distributionFormats = {
+  "counts-csv": countsToCSV,
+  "counts-json": countsToJSON,
+  csv: frequencyToCSV,
+  json: frequencyToJSON,
+};
+
+const graphFormats = {
+  graphml: graphToGraphML,
+  gexf: graphToGEXF,
+  dot: graphToDOT,
+  edgelist: graphToEdgeList,
+};
+
+const graphExtensions = {
+  ".graphml": "graphml",
+  ".gexf": "gexf",
+  ".dot": "dot",
+  ".gv": "dot",
+  ".edgelist": "edgelist",
+  ".edges": "edgelist",
+  ".txt": "edgelist",
+};
+
+function writeFile(filePath, contents) {
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  fs.writeFileSync(filePath, contents);
+  return filePath;
+}
+
+/**
+ * Writes a counts array (one row per index) or its frequency table to disk
+ * @param {string} filePath - Destination path
+ * @param {number[]} values - Counts or samples
+ * @param {Object} options - Optional settings
+ * @param {string} options.format - "csv" or "json" for the frequency table,
+ *   "counts-csv" or "counts-json" for raw counts (default: from extension, frequency table)
+ * @param {Object} options.metadata - Header from createMetadata (default: one naming the formatter)
+ * @returns {string} - The path written
+ */
+function exportDistribution(filePath, values, { format, metadata } = {}) {
+  const resolvedFormat =
+    format || (path.extname(filePath) === ".json" ? "json" : "csv");
+  const formatter = distributionFormats[resolvedFormat];
+  if (!formatter) {
+    throw new Error(
+      `Unknown distribution format: ${resolvedFormat} (expected ${Object.keys(
+        distributionFormats
+      ).join(", ")})`
+    );
+  }
+  return writeFile(filePath, formatter(values, metadata));
+}
+
+/**
+ * Writes a graph with adjacency and edges (e.g. from generateBarabasiAlbert)
+ * @param {string} filePath - Destination path
+ * @param {Object} graph - Graph with adjacency lists and edges
+ * @param {Object} options - Optional settings
+ * @param {string} options.format - "graphml", "gexf", "dot" or "edgelist" (default: from extension)
+ * @param {Object} options.metadata - Header from createMetadata (default: one naming the formatter)
+ * @returns {string} - The path written
+ */
+function exportGraph(filePath, graph, { format, metadata } = {}) {
+  const resolvedFormat =
+    format || graphExtensions[path.extname(filePath).toLowerCase()];
+  const formatter = graphFormats[resolvedFormat];
+  if (!formatter) {
+    throw new Error(
+      `Unknown graph format for ${filePath}: ${resolvedFormat} (expected ${Object.keys(
+        graphFormats
+      ).join(", ")})`
+    );
+  }
+  return writeFile(filePath, formatter(graph, metadata));
+}
+
+module.exports = {
+  createMetadata,
+  frequencyTable,
+  countsToCSV,
+  countsToJSON,
+  frequencyToCSV,
+  frequencyToJSON,
+  graphToGraphML,
+  graphToGEXF,
+  graphToDOT,
+  graphToEdgeList,
+  functionRecordsToCSV,
+  functionRecordsToJSONL,
+  exportDistribution,
+  exportGraph,
+};
@@ -0,0 +1,451 @@
+/**
+ * Function-length analyzer: finds the source files a backend reads in a
+ * checkout, bare repository, tarball or cloned URL and records every function
+ * the backend finds with its file, name, lines and kind. The records print as
+ * the "<lines> <count>" histogram that power_law_fit.js,
+ * distribution_comparison.js and html_report.js read back, followed by a
+ * summary per language and the longest functions, or export as CSV or JSON
+ * Lines. --language keeps the functions of one language only; --exclusive
+ * measures each function without the functions, lambdas and classes nested
+ * in it, for backends that report nesting (tree-sitter).
+ *
+ *   node function_length_analyzer.js <path|bare-repo|tarball|repo-url> [--backend eslint|clang-tidy|tree-sitter|simple]
+ *     [--language name] [--exclusive] [--format histogram|csv|jsonl] [--output file]
+ *
+ * Local directories are analyzed in place and never modified, so CI can
+ * measure the workspace it is running in without network access.
+ *
+ * The backends live in function_length_backends.js.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const { execFileSync } = require("child_process");
+const { BACKENDS, getBackend } = require("./function_length_backends");
+const {
+  createMetadata,
+  functionRecordsToCSV,
+  functionRecordsToJSONL,
+} = require("./exporters");
+
+// Directories that hold tooling or dependencies rather than the project's code
+const SKIPPED_DIRECTORIES = new Set([".git", "node_modules"]);
+
+/**
+ * Lists files with the given extensions below a directory
+ * @param {string} root - Directory to search
+ * @param {string[]} extensions - Extensions including the dot, e.g. [".js"]
+ * @returns {string[]} - Paths relative to root, sorted
+ */
+function findSourceFiles(root, extensions) {
+  const files = [];
+  const walk = (directory) => {
+    for (const entry of fs.readdirSync(path.join(root, directory), {
+      withFileTypes: true,
+    })) {
+      const relative = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        if (!SKIPPED_DIRECTORIES.has(entry.name)) walk(relative);
+      } else if (
+        entry.isFile() &&
+        extensions.includes(path.extname(entry.name))
+      ) {
+        files.push(relative);
+      }
+    }
+  };
+  walk("");
+  return files.sort();
+}
+
+/**
+ * Copies the records with exclusiveLineCount added: the lines of a function
+ * that are not inside a function or class nested in it. The first line of a
+ * nested definition stays with the outer one, which holds the statement
+ * defining it. Nested functions come from the id and parentId fields and
+ * local classes from excludedRanges; a record without them keeps its whole
+ * length.
+ * @param {Object[]} records - Function records
+ * @returns {Object[]} - Records with exclusiveLineCount
+ */
+function addExclusiveLineCounts(records) {
+  const nested = new Map();
+  for (const record of records) {
+    if (record.parentId === undefined || record.parentId === null) continue;
+    if (!nested.has(record.parentId)) nested.set(record.parentId, []);
+    nested.get(record.parentId).push([record.startLine + 1, record.endLine]);
+  }
+
+  return records.map((record) => {
+    const ranges = [
+      ...((record.id !== undefined && nested.get(record.id)) || []),
+      ...(record.excludedRanges || []).map(([from, to]) => [from + 1, to]),
+    ].sort((a, b) => a[0] - b[0]);
+
+    // Lines covered by the union of the nested ranges
+    let excluded = 0;
+    let coveredTo = 0;
+    for (const [from, to] of ranges) {
+      const start = Math.max(from, coveredTo + 1);
+      if (to >= start) excluded += to - start + 1;
+      coveredTo = Math.max(coveredTo, to);
+    }
+    return { ...record, exclusiveLineCount: record.lineCount - excluded };
+  });
+}
+
+/**
+ * Function count, mean, median and longest function per language
+ * @param {Object[]} records - Function records with a language
+ * @param {string} field - Length to summarize (default: "lineCount")
+ * @returns {Object[]} - { language, functions, mean, median, max }, most functions first
+ */
+function summarizeByLanguage(records, field = "lineCount") {
+  const lengths = new Map();
+  for (const record of records) {
+    const { language } = record;
+    if (!lengths.has(language)) lengths.set(language, []);
+    lengths.get(language).push(record[field]);
+  }
+
+  return Array.from(lengths.entries(), ([language, counts]) => {
+    counts.sort((a, b) => a - b);
+    const middle = Math.floor(counts.length / 2);
+    return {
+      language,
+      functions: counts.length,
+      mean: counts.reduce((sum, count) => sum + count, 0) / counts.length,
+      median:
+        counts.length % 2 === 1
+          ? counts[middle]
+          : (counts[middle - 1] + counts[middle]) / 2,
+      max: counts[counts.length - 1],
+    };
+  }).sort((a, b) => b.functions - a.functions);
+}
+
+/**
+ * Prints the line-count histogram of all languages combined in
+ * "<lines> <count>" rows, derived from the function records, followed by the
+ * summary per language and the longest functions
+ * @param {Object[]} records - Function records from a backend
+ * @param {Object} options - Optional settings
+ * @param {number} options.longest - Number of longest functions to list (default: 10)
+ * @param {boolean} options.exclusive - Use exclusiveLineCount from addExclusiveLineCounts (default: false)
+ */
+function printLineCountHistogram(
+  records,
+  { longest = 10, exclusive = false } = {}
+) {
+  const field = exclusive ? "exclusiveLineCount" : "lineCount";
+  const histogram = new Map();
+  for (const record of records) {
+    histogram.set(record[field], (histogram.get(record[field]) || 0) + 1);
+  }
+
+  console.log("\nFunction Line Count Distribution:");
+  console.log("=================================");
+  for (const [lines, count] of Array.from(histogram.entries()).sort(
+    (a, b) => a[0] - b[0]
+  )) {
+    console.log(`${lines} ${count}`);
+  }
+
+  console.log(`\nTotal functions analyzed: ${records.length}`);
+  if (exclusive) console.log("Lengths exclude nested functions and classes");
+
+  console.log("\nBy language:");
+  console.log(
+    `${"Language".padEnd(12)}${"Functions".padStart(10)}${"Mean".padStart(
+      8
+    )}${"Median".padStart(8)}${"Max".padStart(8)}`
+  );
+  for (const { language, functions, mean, median, max } of summarizeByLanguage(
+    records,
+    field
+  )) {
+    console.log(
+      `${language.padEnd(12)}${String(functions).padStart(10)}${mean
+        .toFixed(1)
+        .padStart(8)}${String(median).padStart(8)}${String(max).padStart(8)}`
+    );
+  }
+
+  if (longest > 0) {
+    console.log("\nLongest functions:");
+    records
+      .slice()
+      .sort((a, b) => b[field] - a[field])
+      .slice(0, longest)
+      .forEach((record) => {
+        const { file, name, startLine, endLine, kind, parent } = record;
+        const where = parent ? ` in ${parent}` : "";
+        console.log(
+          `${String(record[field]).padStart(
+            7
+          )} lines  ${file}:${startLine}-${endLine}  ${name} (${kind}${where})`
+        );
+      });
+  }
+}
+
+const TARBALL = /\.(tar|tgz|tar\.gz|tar\.bz2|tbz2|tar\.xz|txz)$/;
+
+// Sources written as paths rather than URLs: absolute, or ./ and ../ relative
+const LOCAL_PATH = /^(\/|\.{1,2}(\/|$)|[A-Za-z]:[\\/])/;
+
+/**
+ * Whether a directory is a bare git repository
+ */
+function isBareRepository(directory) {
+  try {
+    return (
+      execFileSync("git", ["rev-parse", "--is-bare-repository"], {
+        cwd: directory,
+        encoding: "utf8",
+        stdio: ["ignore", "pipe", "ignore"],
+      }).trim() === "true"
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Makes the code behind a source available as a directory:
+ * - a local directory (a checkout or any source tree) is used in place
+ * - a local bare repository has its HEAD exported with git archive
+ * - a tarball is extracted
+ * - anything else is treated as a URL and cloned
+ * Exported, extracted and cloned code goes to a temporary directory that
+ * cleanup() removes; a directory used in place is never written to.
+ * @param {string} source - Path, bare repository, tarball or git URL
+ * @param {Object} options - Optional settings
+ * @param {string} options.label - Name for the temporary directory (default: "source")
+ * @param {Function} options.log - Progress logger (default: console.log)
+ * @returns {Object} - root directory, kind ("directory", "bare", "tarball" or "clone") and cleanup()
+ */
+function prepareSource(source, { label = "source", log = console.log } = {}) {
+  const local = fs.existsSync(source) ? fs.statSync(source) : null;
+
+  // A path that was mistyped would otherwise fail later as a git clone
+  if (!local && LOCAL_PATH.test(source)) {
+    throw new Error(`${source} does not exist`);
+  }
+
+  if (local && local.isDirectory() && !isBareRepository(source)) {
+    return { root: path.resolve(source), kind: "directory", cleanup() {} };
+  }
+
+  const tempDir = fs.mkdtempSync(
+    path.join(os.tmpdir(), `function-lengths-${label}-`)
+  );
+  const cleanup = () => fs.rmSync(tempDir, { recursive: true, force: true });
+
+  try {
+    if (local && local.isDirectory()) {
+      log(`Exporting HEAD of ${source}...`);
+      const archive = `${tempDir}.tar`;
+      try {
+        execFileSync("git", ["archive", `--output=${archive}`, "HEAD"], {
+          cwd: source,
+          stdio: "ignore",
+        });
+        execFileSync("tar", ["-x", "-f", archive, "-C", tempDir], {
+          stdio: "ignore",
+        });
+      } finally {
+        fs.rmSync(archive, { force: true });
+      }
+      return { root: tempDir, kind: "bare", cleanup };
+    }
+
+    if (local && TARBALL.test(source)) {
+      log(`Extracting ${source}...`);
+      execFileSync("tar", ["-x", "-f", path.resolve(source), "-C", tempDir], {
+        stdio: "ignore",
+      });
+      return { root: tempDir, kind: "tarball", cleanup };
+    }
+
+    if (local) {
+      throw new Error(
+        `${source} is neither a directory, a bare repository nor a tarball`
+      );
+    }
+
+    log(`Cloning ${source}...`);
+    execFileSync("git", ["clone", source, tempDir], { stdio: "ignore" });
+    return { root: tempDir, kind: "clone", cleanup };
+  } catch (error) {
+    cleanup();
+    throw error;
+  }
+}
+
+/**
+ * Finds and measures every function in a checkout, bare repository, tarball
+ * or git URL; temporary copies are removed afterwards
+ * @param {string} source - Local path, bare repository, tarball or git URL
+ * @param {string|Object} backend - Backend name or object (default: "eslint")
+ * @param {Object} options - Optional settings
+ * @param {Function} options.log - Progress logger (default: console.log)
+ * @returns {Object[]} - Function records { file, name, startLine, endLine, lineCount, kind, language }
+ */
+function measureFunctions(
+  source,
+  backend = "eslint",
+  { log = console.log } = {}
+) {
+  if (typeof backend === "string") backend = getBackend(backend);
+  const { root, cleanup } = prepareSource(source, { label: backend.name, log });
+
+  try {
+    const files = findSourceFiles(root, backend.extensions);
+    if (files.length === 0) {
+      log(`No ${backend.language} files found`);
+      return [];
+    }
+    log(
+      `Sample ${backend.language} files found: ${files.slice(0, 10).join(", ")}`
+    );
+
+    const records = backend
+      .measure(root, files, { log })
+      .map((record) =>
+        record.language ? record : { ...record, language: backend.language }
+      );
+    if (records.length === 0) {
+      log(`No ${backend.language} functions found or analyzed.`);
+    }
+    return records;
+  } finally {
+    cleanup();
+  }
+}
+
+const RECORD_FORMATS = {
+  csv: functionRecordsToCSV,
+  jsonl: functionRecordsToJSONL,
+};
+
+/**
+ * Measures a source and prints the histogram, or exports the function records
+ * as CSV or JSON Lines. Progress goes to stderr when stdout carries records.
+ * @param {string} source - Local path, bare repository, tarball or git URL
+ * @param {string|Object} backend - Backend name or object (default: "eslint")
+ * @param {Object} options - Optional settings
+ * @param {string} options.language - Keep only this language, ignoring case (default: all)
+ * @param {boolean} options.exclusive - Add exclusiveLineCount and build the histogram from it (default: false)
+ * @param {string} options.format - "histogram", "csv" or "jsonl" (default: "histogram")
+ * @param {string} options.output - Write csv or jsonl to this file instead of stdout
+ * @returns {Object[]} - Function records
+ */
+function analyzeRepo(
+  source,
+  backend = "eslint",
+  {
+    format = "histogram",
+    output = null,
+    language = null,
+    exclusive = false,
+  } = {}
+) {
+  const formatter = RECORD_FORMATS[format];
+  if (format !== "histogram" && !formatter) {
+    throw new Error(
+      `Unknown format "${format}" (expected histogram, ${Object.keys(
+        RECORD_FORMATS
+      ).join(", ")})`
+    );
+  }
+
+  const log = formatter && !output ? console.error : console.log;
+  let records = measureFunctions(source, backend, { log });
+  if (language) {
+    records = records.filter(
+      (record) => record.language.toLowerCase() === language.toLowerCase()
+    );
+    log(`${records.length} ${language} functions`);
+  }
+  if (exclusive) records = addExclusiveLineCounts(records);
+
+  if (!formatter) {
+    if (records.length > 0) printLineCountHistogram(records, { exclusive });
+    return records;
+  }
+
+  const metadata = createMetadata("analyzeRepo", {
+    source,
+    backend: typeof backend === "string" ? backend : backend.name,
+    language,
+    exclusive,
+  });
+  const contents = formatter(records, metadata);
+  if (output) {
+    fs.mkdirSync(path.dirname(path.resolve(output)), { recursive: true });
+    fs.writeFileSync(output, contents);
+    log(`Wrote ${records.length} function records to ${output}`);
+  } else {
+    process.stdout.write(contents);
+  }
+  return records;
+}
+
+/**
+ * Command line entry point shared by the analyzer and the single-backend
+ * wrapper scripts
+ * @param {string[]} args - Arguments after the script name
+ * @param {Object} options - Optional settings
+ * @param {string} options.backend - Fixed backend; otherwise read from --backend (default: "eslint")
+ * @param {string} options.script - Script name for the usage line
+ */
+function analyzerMain(
+  args,
+  { backend = null, script = "function_length_analyzer.js" } = {}
+) {
+  const valueFlags = ["--backend", "--language", "--format", "--output"];
+  const flag = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index === -1 ? fallback : args[index + 1];
+  };
+  const source = args.find(
+    (arg, i) => !arg.startsWith("--") && !valueFlags.includes(args[i - 1])
+  );
+  const missingValue = valueFlags.find(
+    (name) => args.includes(name) && flag(name) === undefined
+  );
+
+  if (!source || missingValue) {
+    if (missingValue) console.log(`${missingValue} needs a value`);
+    console.log(
+      `Usage: node ${script} <path|bare-repo|tarball|repo-url>${
+        backend ? "" : ` [--backend ${Object.keys(BACKENDS).join("|")}]`
+      } [--language name] [--exclusive] [--format histogram|csv|jsonl] [--output file]`
+    );
+    process.exit(1);
+  }
+
+  analyzeRepo(source, backend || flag("--backend", "eslint"), {
+    language: flag("--language", null),
+    exclusive: args.includes("--exclusive"),
+    format: flag("--format", "histogram"),
+    output: flag("--output", null),
+  });
+}
+
+module.exports = {
+  findSourceFiles,
+  addExclusiveLineCounts,
+  summarizeByLanguage,
+  printLineCountHistogram,
+  prepareSource,
+  measureFunctions,
+  analyzeRepo,
+  analyzerMain,
+};
+
+if (require.main === module) {
+  analyzerMain(process.argv.slice(2));
+}
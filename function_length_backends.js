@@ -0,0 +1,557 @@
+/**
+ * Measuring backends for the function-length analyzer.
+ *
+ * A backend is an object with
+ * - name: identifier used on the command line
+ * - language: what it measures, for messages
+ * - extensions: file extensions it reads
+ * - measure(root, files, { log }): a record for every function found in the
+ *   files (paths relative to root), logging progress with log. Backends must
+ *   not write into root, which may be a checkout analyzed in place.
+ *
+ * A function record is
+ *   { file, name, startLine, endLine, lineCount, kind, language, id, parent, parentId,
+ *     excludedRanges }
+ * with 1-based inclusive lines, the file relative to root, the qualified name
+ * where the tool reports one ("(anonymous)" when there is none), a kind
+ * such as "function", "method", "constructor", "arrow", "lambda" or "nested
+ * function" and the language (backends reading a single language may leave
+ * it to the analyzer). Backends that see nesting number their records with
+ * id and give a nested function or lambda the name and id of the function
+ * it is defined in as parent and parentId, null at the top level; other
+ * backends leave all three out. Backends that see local classes list the
+ * [startLine, endLine] of each class, struct or impl inside a function, but
+ * not inside a function nested in it, in its excludedRanges; others leave it
+ * out.
+ *
+ * Register a new backend in BACKENDS to make it selectable everywhere.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const { execFileSync } = require("child_process");
+const {
+  LANGUAGES,
+  functionName,
+  treeSitterExtensions,
+  languageForFile,
+} = require("./tree_sitter_languages");
+
+// ESLint is installed here once when the analyzed code does not have ESLint 9
+const ESLINT_TOOL_DIRECTORY = path.join(os.tmpdir(), "function-lengths-eslint");
+
+// Flat config kept outside the analyzed tree, so nothing is written into it
+const ESLINT_CONFIG = `export default [
+  {
+    files: ["**/*.js", "**/*.jsx"],
+    languageOptions: {
+      ecmaVersion: "latest",
+      sourceType: "module",
+      parserOptions: { ecmaFeatures: { jsx: true } },
+    },
+    rules: {
+      "max-lines-per-function": ["error", 1],
+    },
+  },
+];
+`;
+
+/**
+ * Path of an ESLint 9 command line script: the analyzed code's own, or one
+ * installed into the tool directory
+ */
+function findEslint(root, log) {
+  try {
+    const packageJson = require.resolve("eslint/package.json", {
+      paths: [root],
+    });
+    if (parseInt(require(packageJson).version) >= 9) {
+      log("ESLint already available in repo");
+      return path.join(path.dirname(packageJson), "bin", "eslint.js");
+    }
+  } catch (error) {
+    // Not installed in the analyzed code
+  }
+
+  const script = path.join(
+    ESLINT_TOOL_DIRECTORY,
+    "node_modules",
+    "eslint",
+    "bin",
+    "eslint.js"
+  );
+  if (!fs.existsSync(script)) {
+    log("Installing ESLint...");
+    fs.mkdirSync(ESLINT_TOOL_DIRECTORY, { recursive: true });
+    execFileSync(
+      "npm",
+      ["install", "--prefix", ESLINT_TOOL_DIRECTORY, "eslint@9"],
+      { stdio: "ignore" }
+    );
+  }
+  return script;
+}
+
+/**
+ * Name and kind from a max-lines-per-function message such as
+ * "Method 'area' has too many lines (12)" or "Async arrow function has ..."
+ */
+function eslintFunctionName(message) {
+  const description = message.replace(/ has too many lines.*$/, "");
+  const quoted = description.match(/'(.*)'/);
+  const words = description.replace(/'.*'/, "").toLowerCase();
+
+  let kind = "function";
+  if (words.includes("constructor")) kind = "constructor";
+  else if (words.includes("getter")) kind = "getter";
+  else if (words.includes("setter")) kind = "setter";
+  else if (words.includes("method")) kind = "method";
+  else if (words.includes("arrow")) kind = "arrow";
+
+  return {
+    name: quoted
+      ? quoted[1]
+      : kind === "constructor"
+      ? "constructor"
+      : "(anonymous)",
+    kind,
+  };
+}
+
+/**
+ * Functions reported by ESLint's max-lines-per-function rule with a threshold
+ * of one, so every function longer than one line is reported with its length
+ */
+const eslintBackend = {
+  name: "eslint",
+  language: "JavaScript",
+  extensions: [".js", ".jsx"],
+  measure(root, files, { log = console.log } = {}) {
+    const eslint = findEslint(root, log);
+    const configDir = fs.mkdtempSync(
+      path.join(os.tmpdir(), "function-lengths-eslint-config-")
+    );
+    const config = path.join(configDir, "eslint.config.mjs");
+    fs.writeFileSync(config, ESLINT_CONFIG);
+
+    log("Running ESLint analysis...");
+    const records = [];
+    try {
+      // Process files in batches to avoid command line length limits
+      const batchSize = 200;
+      for (let i = 0; i < files.length; i += batchSize) {
+        const args = [eslint, "--config", config, "--format", "json"];
+        args.push(...files.slice(i, i + batchSize));
+
+        let eslintOutput;
+        try {
+          eslintOutput = execFileSync(process.execPath, args, {
+            cwd: root,
+            encoding: "utf8",
+            stdio: "pipe",
+            maxBuffer: 1024 * 1024 * 100,
+          });
+        } catch (error) {
+          // ESLint exits with error code when violations found - this is expected
+          eslintOutput = error.stdout || "";
+          if (error.status !== 1 && error.stderr) {
+            log("ESLint stderr:", error.stderr);
+          }
+        }
+
+        let results;
+        try {
+          results = JSON.parse(eslintOutput);
+        } catch (parseError) {
+          throw new Error(
+            `Failed to parse ESLint output (${eslintOutput.length} characters): ${parseError.message}`
+          );
+        }
+
+        for (const file of results) {
+          for (const message of file.messages) {
+            if (message.ruleId !== "max-lines-per-function") continue;
+            // Extract actual line count from message
+            const match = message.message.match(/too many lines \((\d+)\)/);
+            if (!match) continue;
+            const { name, kind } = eslintFunctionName(message.message);
+            records.push({
+              file: path.relative(root, file.filePath),
+              name,
+              startLine: message.line,
+              endLine: message.endLine,
+              lineCount: parseInt(match[1]),
+              kind,
+            });
+          }
+        }
+      }
+    } finally {
+      fs.rmSync(configDir, { recursive: true, force: true });
+    }
+    return records;
+  },
+};
+
+const CLANG_TIDY_CONFIG = `---
+Checks: 'readability-function-size'
+CheckOptions:
+  - key: readability-function-size.LineThreshold
+    value: 1
+  - key: readability-function-size.StatementThreshold
+    value: 1000
+  - key: readability-function-size.BranchThreshold
+    value: 1000
+  - key: readability-function-size.ParameterThreshold
+    value: 1000
+  - key: readability-function-size.NestingThreshold
+    value: 1000
+  - key: readability-function-size.VariableThreshold
+    value: 1000
+`;
+
+const CLANG_TIDY_WARNING =
+  /^(.+?):(\d+):\d+: warning: function '(.+?)' exceeds recommended size\/complexity thresholds \[readability-function-size\]/;
+const CLANG_TIDY_LINES_NOTE =
+  /^(.+?):(\d+):\d+: note: (\d+) lines including whitespace and comments/;
+
+/**
+ * Parses readability-function-size diagnostics: each warning names the
+ * function and is followed by notes, one of which gives its line count
+ * @param {string} output - clang-tidy output
+ * @param {string} root - Directory clang-tidy ran in
+ * @returns {Object[]} - Function records
+ */
+function parseClangTidyFunctions(output, root) {
+  const records = [];
+  let current = null;
+
+  for (const line of output.split("\n")) {
+    const warning = line.match(CLANG_TIDY_WARNING);
+    if (warning) {
+      current = {
+        file: path.relative(root, path.resolve(root, warning[1])),
+        name: warning[3],
+        startLine: parseInt(warning[2]),
+      };
+      continue;
+    }
+
+    const note = line.match(CLANG_TIDY_LINES_NOTE);
+    if (note && current) {
+      // The count covers the body, which starts at the reported location
+      const lineCount = parseInt(note[3]);
+      records.push({
+        ...current,
+        endLine: current.startLine + lineCount - 1,
+        lineCount,
+        // clang-tidy does not say whether a scope is a class or a namespace
+        kind: current.name.includes("::") ? "method" : "function",
+      });
+      current = null;
+    }
+  }
+  return records;
+}
+
+/**
+ * Functions reported by clang-tidy's readability-function-size check
+ */
+const clangTidyBackend = {
+  name: "clang-tidy",
+  language: "C++",
+  extensions: [".cpp", ".cxx", ".cc", ".c"],
+  measure(root, files, { log = console.log } = {}) {
+    log("Running clang-tidy analysis...");
+
+    // Functions in headers are reported once per file including them
+    const records = new Map();
+    const collect = (output) => {
+      for (const record of parseClangTidyFunctions(output, root)) {
+        records.set(
+          `${record.file}:${record.startLine}:${record.name}`,
+          record
+        );
+      }
+    };
+
+    // Process files in batches to avoid command line length limits
+    const batchSize = 10;
+    for (let i = 0; i < files.length; i += batchSize) {
+      const batch = files.slice(i, i + batchSize);
+      try {
+        // The configuration goes on the command line, not into a .clang-tidy file
+        collect(
+          execFileSync(
+            "clang-tidy",
+            [`--config=${CLANG_TIDY_CONFIG}`, ...batch, "--", "-std=c++17"],
+            {
+              cwd: root,
+              encoding: "utf8",
+              stdio: "pipe",
+              maxBuffer: 1024 * 1024 * 10,
+            }
+          )
+        );
+      } catch (error) {
+        // clang-tidy exits non-zero on warnings, but still reports violations
+        if (error.stdout) collect(error.stdout);
+        if (error.stderr) collect(error.stderr);
+      }
+    }
+    return Array.from(records.values());
+  },
+};
+
+/**
+ * Functions in tree-sitter syntax trees of every language in the registry of
+ * tree_sitter_languages.js. Install tree-sitter and the grammars needed, e.g.:
+ *   npm install tree-sitter tree-sitter-cpp tree-sitter-javascript
+ * Languages whose grammar is missing are skipped with a warning.
+ */
+const treeSitterBackend = {
+  name: "tree-sitter",
+  language: Array.from(
+    new Set(Object.values(LANGUAGES).map(({ name }) => name))
+  ).join(", "),
+  extensions: treeSitterExtensions(),
+  measure(root, files, { log = console.log } = {}) {
+    let Parser;
+    try {
+      Parser = require("tree-sitter");
+    } catch (error) {
+      throw new Error(
+        "The tree-sitter backend needs: npm install tree-sitter and the grammars of the languages to measure, e.g. tree-sitter-cpp"
+      );
+    }
+
+    // One parser per language, created when its first file is found
+    const parsers = new Map();
+    const parserFor = (language) => {
+      if (!parsers.has(language.id)) {
+        let parser = null;
+        try {
+          parser = new Parser();
+          parser.setLanguage(language.load());
+        } catch (error) {
+          log(
+            `Skipping ${language.name} files: npm install ${language.package}`
+          );
+          parser = null;
+        }
+        parsers.set(language.id, parser);
+      }
+      return parsers.get(language.id);
+    };
+
+    log(`Analyzing ${files.length} files with tree-sitter...`);
+
+    const records = [];
+    for (const file of files) {
+      const language = languageForFile(file);
+      const parser = language && parserFor(language);
+      if (!parser) continue;
+      const nameOf = language.functionName || functionName;
+
+      try {
+        const content = fs.readFileSync(path.join(root, file), "utf8");
+        // Read in chunks: the bindings reject strings longer than 32 KiB
+        const tree = parser.parse((index) =>
+          content.slice(index, index + 4096)
+        );
+
+        const classTypes = language.classTypes || [];
+
+        // enclosing is the record of the innermost function around node
+        const traverseNode = (node, enclosing) => {
+          if (enclosing && classTypes.includes(node.type)) {
+            enclosing.excludedRanges.push([
+              node.startPosition.row + 1,
+              node.endPosition.row + 1,
+            ]);
+          }
+
+          const type = language.functionTypes[node.type];
+          if (type) {
+            const startLine = node.startPosition.row + 1;
+            const endLine = node.endPosition.row + 1;
+            const lineCount = endLine - startLine + 1;
+            if (lineCount > 1) {
+              // Skip one-liners
+              const kind = typeof type === "function" ? type(node) : type;
+              const record = {
+                file,
+                name: nameOf(node),
+                startLine,
+                endLine,
+                lineCount,
+                kind:
+                  enclosing && kind === "function" ? "nested function" : kind,
+                language: language.name,
+                id: records.length + 1,
+                parent: enclosing ? enclosing.name : null,
+                parentId: enclosing ? enclosing.id : null,
+                excludedRanges: [],
+              };
+              records.push(record);
+              enclosing = record;
+            }
+          }
+          for (const child of node.children) traverseNode(child, enclosing);
+        };
+        traverseNode(tree.rootNode, null);
+      } catch (error) {
+        // Skip files that can't be parsed
+        log(`Error parsing ${file}: ${error.message}`);
+      }
+    }
+    return records;
+  },
+};
+
+/**
+ * Finds C/C++ functions by matching braces after a closed parameter list; a
+ * heuristic that needs no compiler or parser. The name is the identifier
+ * before the first parenthesis of the signature line.
+ * @param {string} content - Source text
+ * @returns {Object[]} - Records without file for every function longer than one line
+ */
+function braceHeuristicFunctions(content) {
+  const lines = content.split("\n");
+  const functions = [];
+
+  let inFunction = false;
+  let functionStartLine = 0;
+  let braceCount = 0;
+  let parenCount = 0;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+
+    // Skip empty lines and comments
+    if (
+      !line ||
+      line.startsWith("//") ||
+      line.startsWith("/*") ||
+      line.startsWith("*")
+    ) {
+      continue;
+    }
+
+    // Count parentheses and braces
+    const openParens = (line.match(/\(/g) || []).length;
+    const closeParens = (line.match(/\)/g) || []).length;
+    const openBraces = (line.match(/\{/g) || []).length;
+    const closeBraces = (line.match(/\}/g) || []).length;
+
+    parenCount += openParens - closeParens;
+
+    // Look for function signatures (simplified heuristic)
+    if (!inFunction && openParens > 0 && parenCount === 0 && openBraces > 0) {
+      // Likely a function definition starting
+      inFunction = true;
+      functionStartLine = i;
+      braceCount = openBraces - closeBraces;
+    } else if (
+      !inFunction &&
+      openParens > 0 &&
+      parenCount === 0 &&
+      line.includes(")") &&
+      !line.includes(";")
+    ) {
+      // Function signature without opening brace on same line
+      const nextLineIndex = i + 1;
+      if (
+        nextLineIndex < lines.length &&
+        lines[nextLineIndex].trim().startsWith("{")
+      ) {
+        inFunction = true;
+        functionStartLine = i;
+        braceCount = 0; // Will be counted when we process the next line
+      }
+    }
+
+    if (inFunction) {
+      braceCount += openBraces - closeBraces;
+
+      // Function ends when brace count returns to 0
+      if (braceCount === 0 && (openBraces > 0 || closeBraces > 0)) {
+        const lineCount = i - functionStartLine + 1;
+        if (lineCount > 1) {
+          // Ignore single-line functions
+          const signature = lines[functionStartLine].match(
+            /([A-Za-z_~][\w:~]*)\s*\(/
+          );
+          const name = signature ? signature[1] : "(anonymous)";
+          functions.push({
+            name,
+            startLine: functionStartLine + 1,
+            endLine: i + 1,
+            lineCount,
+            kind: name.includes("::") ? "method" : "function",
+          });
+        }
+        inFunction = false;
+        parenCount = 0; // Reset for next function
+      }
+    }
+  }
+
+  return functions;
+}
+
+/**
+ * Brace-matching heuristic for C and C++, headers included
+ */
+const braceHeuristicBackend = {
+  name: "simple",
+  language: "C++",
+  extensions: [".cpp", ".cxx", ".cc", ".c", ".hpp", ".h"],
+  measure(root, files, { log = console.log } = {}) {
+    log(`Analyzing ${files.length} C++ files...`);
+    const records = [];
+    for (const file of files) {
+      try {
+        const content = fs.readFileSync(path.join(root, file), "utf8");
+        for (const record of braceHeuristicFunctions(content)) {
+          records.push({ file, ...record });
+        }
+      } catch (error) {
+        // Skip files that can't be read
+      }
+    }
+    return records;
+  },
+};
+
+const BACKENDS = {
+  eslint: eslintBackend,
+  "clang-tidy": clangTidyBackend,
+  "tree-sitter": treeSitterBackend,
+  simple: braceHeuristicBackend,
+};
+
+/**
+ * Looks up a backend by name
+ * @param {string} name - Backend name, e.g. "eslint"
+ * @returns {Object} - Backend
+ */
+function getBackend(name) {
+  const backend = BACKENDS[name];
+  if (!backend) {
+    throw new Error(
+      `Unknown backend "${name}" (available: ${Object.keys(BACKENDS).join(
+        ", "
+      )})`
+    );
+  }
+  return backend;
+}
+
+module.exports = {
+  BACKENDS,
+  getBackend,
+  parseClangTidyFunctions,
+  braceHeuristicFunctions,
+};
@@ -0,0 +1,588 @@
+/**
+ * Self-contained HTML report with inline SVG charts.
+ *
+ * For every sample set the report draws the log-log frequency plot with the
+ * fitted power law, the complementary CDF, the rank-frequency curve and the
+ * Lorenz curve, followed by a summary table. Styles and charts are inlined,
+ * so the file opens offline with no CDN or network access.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { rngFromArgs } = require("./random");
+const { hurwitzZeta } = require("./numerics");
+const { fitPowerLaw, parseLineCountHistogram } = require("./power_law_fit");
+const { inequalityMetrics } = require("./inequality_metrics");
+
+const WIDTH = 440;
+const HEIGHT = 320;
+const MARGIN = { top: 30, right: 20, bottom: 45, left: 60 };
+const COLORS = { points: "#1f77b4", fit: "#d62728", reference: "#999999" };
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function formatNumber(value, digits = 3) {
+  if (value === null || value === undefined || Number.isNaN(value)) return "–";
+  if (!Number.isFinite(value)) return value > 0 ? "∞" : "-∞";
+  if (Number.isInteger(value)) return value.toLocaleString();
+  return value.toFixed(digits);
+}
+
+/**
+ * Maps data values to pixel positions on a linear or log10 axis
+ */
+function createScale(min, max, start, end, log) {
+  const transform = log ? Math.log10 : (x) => x;
+  let low = transform(min);
+  let high = transform(max);
+  if (high === low) {
+    low -= 0.5;
+    high += 0.5;
+  }
+  return (value) =>
+    start + ((transform(value) - low) / (high - low)) * (end - start);
+}
+
+/**
+ * Tick values: powers of ten on a log axis, five even steps otherwise
+ */
+function axisTicks(min, max, log) {
+  if (log) {
+    const ticks = [];
+    for (
+      let exponent = Math.floor(Math.log10(min));
+      exponent <= Math.ceil(Math.log10(max));
+      exponent++
+    ) {
+      const tick = Math.pow(10, exponent);
+      if (tick >= min && tick <= max) ticks.push(tick);
+    }
+    return ticks.length > 0 ? ticks : [min, max];
+  }
+  return [0, 1, 2, 3, 4, 5].map((i) => min + ((max - min) * i) / 5);
+}
+
+function tickLabel(value, log) {
+  if (log) {
+    return value >= 1e4 || value < 1e-2
+      ? `1e${Math.round(Math.log10(value))}`
+      : String(value);
+  }
+  return Number.isInteger(value) ? String(value) : value.toFixed(1);
+}
+
+/**
+ * Renders one chart as an inline SVG element
+ * @param {Object} chart - Chart description
+ * @param {string} chart.title - Heading drawn above the plot
+ * @param {string} chart.xLabel - X axis label
+ * @param {string} chart.yLabel - Y axis label
+ * @param {boolean} chart.xLog - Log10 x axis
+ * @param {boolean} chart.yLog - Log10 y axis
+ * @param {Object[]} chart.series - { points: [[x, y]], style: "points"|"line", color, label }
+ * @returns {string} - SVG markup
+ */
+function renderSvgChart({ title, xLabel, yLabel, xLog, yLog, series }) {
+  const usable = (x, y) =>
+    Number.isFinite(x) &&
+    Number.isFinite(y) &&
+    (!xLog || x > 0) &&
+    (!yLog || y > 0);
+  const all = series.flatMap((s) => s.points.filter(([x, y]) => usable(x, y)));
+
+  const svg = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img">`,
+    `<title>${escapeHtml(title)}</title>`,
+    `<text x="${
+      WIDTH / 2
+    }" y="18" text-anchor="middle" class="chart-title">${escapeHtml(
+      title
+    )}</text>`,
+  ];
+
+  if (all.length === 0) {
+    svg.push(
+      `<text x="${WIDTH / 2}" y="${
+        HEIGHT / 2
+      }" text-anchor="middle">No data</text>`,
+      "</svg>"
+    );
+    return svg.join("\n");
+  }
+
+  // One pass rather than Math.min(...xs), which overflows the stack when a
+  // series has many distinct values
+  let xMin = Infinity;
+  let xMax = -Infinity;
+  let yMin = Infinity;
+  let yMax = -Infinity;
+  for (const [px, py] of all) {
+    if (px < xMin) xMin = px;
+    if (px > xMax) xMax = px;
+    if (py < yMin) yMin = py;
+    if (py > yMax) yMax = py;
+  }
+
+  const left = MARGIN.left;
+  const right = WIDTH - MARGIN.right;
+  const top = MARGIN.top;
+  const bottom = HEIGHT - MARGIN.bottom;
+  const x = createScale(xMin, xMax, left, right, xLog);
+  const y = createScale(yMin, yMax, bottom, top, yLog);
+
+  svg.push(
+    `<rect x="${left}" y="${top}" width="${right - left}" height="${
+      bottom - top
+    }" class="frame"/>`
+  );
+
+  for (const tick of axisTicks(xMin, xMax, xLog)) {
+    const px = x(tick).toFixed(1);
+    svg.push(
+      `<line x1="${px}" y1="${top}" x2="${px}" y2="${bottom}" class="grid"/>`,
+      `<text x="${px}" y="${bottom + 16}" text-anchor="middle">${tickLabel(
+        tick,
+        xLog
+      )}</text>`
+    );
+  }
+  for (const tick of axisTicks(yMin, yMax, yLog)) {
+    const py = y(tick).toFixed(1);
+    svg.push(
+      `<line x1="${left}" y1="${py}" x2="${right}" y2="${py}" class="grid"/>`,
+      `<text x="${
+        left - 6
+      }" y="${py}" text-anchor="end" dominant-baseline="middle">${tickLabel(
+        tick,
+        yLog
+      )}</text>`
+    );
+  }
+
+  svg.push(
+    `<text x="${(left + right) / 2}" y="${
+      HEIGHT - 8
+    }" text-anchor="middle">${escapeHtml(xLabel)}</text>`,
+    `<text x="14" y="${
+      (top + bottom) / 2
+    }" text-anchor="middle" transform="rotate(-90 14 ${
+      (top + bottom) / 2
+    })">${escapeHtml(yLabel)}</text>`
+  );
+
+  series.forEach((s, i) => {
+    const points = s.points
+      .filter(([px, py]) => usable(px, py))
+      .map(([px, py]) => [x(px).toFixed(1), y(py).toFixed(1)]);
+    if (s.style === "line") {
+      svg.push(
+        `<polyline fill="none" stroke="${
+          s.color
+        }" stroke-width="2" points="${points
+          .map((p) => p.join(","))
+          .join(" ")}"/>`
+      );
+    } else {
+      svg.push(
+        `<g fill="${s.color}" fill-opacity="0.7">${points
+          .map(([px, py]) => `<circle cx="${px}" cy="${py}" r="2.5"/>`)
+          .join("")}</g>`
+      );
+    }
+    if (s.label) {
+      const ly = top + 14 + i * 16;
+      svg.push(
+        `<rect x="${right - 150}" y="${ly - 8}" width="10" height="10" fill="${
+          s.color
+        }"/>`,
+        `<text x="${
+          right - 135
+        }" y="${ly}" dominant-baseline="middle">${escapeHtml(s.label)}</text>`
+      );
+    }
+  });
+
+  svg.push("</svg>");
+  return svg.join("\n");
+}
+
+/**
+ * Keeps at most about `limit` points, evenly spaced on a log scale of the
+ * index, so heavy-tailed curves stay small without losing their shape
+ */
+function thinLogarithmically(points, limit = 300) {
+  if (points.length <= limit) return points;
+  const ratio = Math.pow(points.length, 1 / limit);
+  const kept = [];
+  let next = 1;
+  for (let i = 0; i < points.length; i++) {
+    if (i + 1 >= next || i === points.length - 1) {
+      kept.push(points[i]);
+      next = Math.max(next + 1, next * ratio);
+    }
+  }
+  return kept;
+}
+
+/**
+ * Everything a report section needs about one sample set
+ * @param {number[]} samples - Positive samples
+ * @returns {Object} - frequencies, ccdf, rankFrequency, fit (or null), metrics and basic stats
+ */
+function analyseSamples(samples) {
+  const positive = samples.filter((x) => x > 0);
+  const frequency = new Map();
+  positive.forEach((x) => frequency.set(x, (frequency.get(x) || 0) + 1));
+  const frequencies = Array.from(frequency.entries()).sort(
+    (a, b) => a[0] - b[0]
+  );
+
+  // P(X >= x) at every distinct value
+  const ccdf = [];
+  let remaining = positive.length;
+  for (const [value, count] of frequencies) {
+    ccdf.push([value, remaining / positive.length]);
+    remaining -= count;
+  }
+
+  const sorted = [...positive].sort((a, b) => b - a);
+  const rankFrequency = sorted.map((value, i) => [i + 1, value]);
+
+  let fit = null;
+  try {
+    fit = fitPowerLaw(positive);
+  } catch (error) {
+    // Too little data for a power-law fit; the report omits the fitted line
+  }
+
+  const mean = positive.reduce((a, b) => a + b, 0) / positive.length;
+  return {
+    n: samples.length,
+    min: sorted[sorted.length - 1],
+    max: sorted[0],
+    mean,
+    median: sorted[Math.floor(sorted.length / 2)],
+    frequencies,
+    ccdf,
+    rankFrequency,
+    fit,
+    metrics: inequalityMetrics(samples),
+  };
+}
+
+function fittedFrequencies({ fit, frequencies }) {
+  const normaliser = hurwitzZeta(fit.alpha, fit.xmin);
+  return frequencies
+    .filter(([value]) => value >= fit.xmin)
+    .map(([value]) => [
+      value,
+      (fit.nTail * Math.pow(value, -fit.alpha)) / normaliser,
+    ]);
+}
+
+function fittedCcdf({ fit, ccdf }) {
+  const normaliser = hurwitzZeta(fit.alpha, fit.xmin);
+  const tailFraction = fit.nTail / fit.n;
+  return ccdf
+    .filter(([value]) => value >= fit.xmin)
+    .map(([value]) => [
+      value,
+      (tailFraction * hurwitzZeta(fit.alpha, value)) / normaliser,
+    ]);
+}
+
+function summaryRows(analysis) {
+  const { fit, metrics } = analysis;
+  const rows = [
+    ["Samples", analysis.n],
+    ["Minimum", analysis.min],
+    ["Maximum", analysis.max],
+    ["Mean", analysis.mean],
+    ["Median", analysis.median],
+  ];
+
+  if (fit) {
+    rows.push(
+      [
+        "Power-law alpha",
+        `${formatNumber(fit.alpha)} ± ${formatNumber(fit.sigma)}`,
+      ],
+      ["xmin", fit.xmin],
+      ["Tail size", fit.nTail],
+      ["KS distance", fit.ks]
+    );
+  } else {
+    rows.push(["Power-law alpha", "not enough data to fit"]);
+  }
+
+  rows.push(
+    ["Gini", metrics.gini],
+    ["Theil", metrics.theil],
+    ...Object.keys(metrics.atkinson)
+      .sort((a, b) => a - b)
+      .map((epsilon) => [
+        `Atkinson (ε = ${epsilon})`,
+        metrics.atkinson[epsilon],
+      ]),
+    ["Hoover", metrics.hoover],
+    ["Palma ratio", metrics.palma],
+    ["Herfindahl–Hirschman", metrics.hhi.toPrecision(3)],
+    ...Object.keys(metrics.topShares)
+      .sort((a, b) => a - b)
+      .map((fraction) => [
+        `Top ${fraction * 100}% share`,
+        `${(metrics.topShares[fraction] * 100).toFixed(1)}%`,
+      ])
+  );
+
+  return rows;
+}
+
+function renderSection(label, samples) {
+  const analysis = analyseSamples(samples);
+  const fitLabel = analysis.fit
+    ? `fit α = ${analysis.fit.alpha.toFixed(2)}`
+    : null;
+
+  const charts = [
+    renderSvgChart({
+      title: "Frequency (log-log)",
+      xLabel: "Value",
+      yLabel: "Frequency",
+      xLog: true,
+      yLog: true,
+      series: [
+        {
+          points: analysis.frequencies,
+          color: COLORS.points,
+          label: "observed",
+        },
+        ...(analysis.fit
+          ? [
+              {
+                points: fittedFrequencies(analysis),
+                style: "line",
+                color: COLORS.fit,
+                label: fitLabel,
+              },
+            ]
+          : []),
+      ],
+    }),
+    renderSvgChart({
+      title: "Complementary CDF",
+      xLabel: "Value x",
+      yLabel: "P(X ≥ x)",
+      xLog: true,
+      yLog: true,
+      series: [
+        { points: analysis.ccdf, color: COLORS.points, label: "observed" },
+        ...(analysis.fit
+          ? [
+              {
+                points: fittedCcdf(analysis),
+                style: "line",
+                color: COLORS.fit,
+                label: fitLabel,
+              },
+            ]
+          : []),
+      ],
+    }),
+    renderSvgChart({
+      title: "Rank-frequency",
+      xLabel: "Rank",
+      yLabel: "Value",
+      xLog: true,
+      yLog: true,
+      series: [
+        {
+          points: thinLogarithmically(analysis.rankFrequency),
+          color: COLORS.points,
+        },
+      ],
+    }),
+    renderSvgChart({
+      title: "Lorenz curve",
+      xLabel: "Cumulative share of elements",
+      yLabel: "Cumulative share of total",
+      xLog: false,
+      yLog: false,
+      series: [
+        {
+          points: [
+            [0, 0],
+            [1, 1],
+          ],
+          style: "line",
+          color: COLORS.reference,
+          label: "equality",
+        },
+        {
+          points: analysis.metrics.lorenz.map(({ population, share }) => [
+            population,
+            share,
+          ]),
+          style: "line",
+          color: COLORS.points,
+          label: `Gini ${analysis.metrics.gini.toFixed(3)}`,
+        },
+      ],
+    }),
+  ];
+
+  const rows = summaryRows(analysis)
+    .map(
+      ([name, value]) =>
+        `<tr><th>${escapeHtml(name)}</th><td>${escapeHtml(
+          typeof value === "number" ? formatNumber(value) : value
+        )}</td></tr>`
+    )
+    .join("\n");
+
+  return [
+    "<section>",
+    `<h2>${escapeHtml(label)}</h2>`,
+    `<div class="charts">\n${charts.join("\n")}\n</div>`,
+    `<table>\n${rows}\n</table>`,
+    "</section>",
+  ].join("\n");
+}
+
+/**
+ * Builds the report for one or more sample sets
+ * @param {Object[]} datasets - { label, samples } per sample set
+ * @param {Object} options - Optional settings
+ * @param {string} options.title - Page title (default: "Distribution report")
+ * @param {Object} options.metadata - Header from createMetadata, shown under the title
+ * @returns {string} - Complete HTML document
+ */
+function renderHtmlReport(
+  datasets,
+  { title = "Distribution report", metadata = null } = {}
+) {
+  const metadataList = metadata
+    ? `<ul class="metadata">\n${Object.entries(metadata)
+        .map(
+          ([key, value]) =>
+            `<li><b>${escapeHtml(key)}</b>: ${escapeHtml(
+              typeof value === "object" ? JSON.stringify(value) : value
+            )}</li>`
+        )
+        .join("\n")}\n</ul>`
+    : "";
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: sans-serif; margin: 2em; color: #222; }
+section { margin-bottom: 3em; }
+.charts { display: flex; flex-wrap: wrap; gap: 1em; }
+svg { background: #fff; font-size: 11px; }
+svg .chart-title { font-size: 13px; font-weight: bold; }
+svg .frame { fill: none; stroke: #444; }
+svg .grid { stroke: #e5e5e5; }
+table { border-collapse: collapse; margin-top: 1em; }
+th, td { border: 1px solid #ccc; padding: 0.25em 0.75em; text-align: left; }
+td { text-align: right; font-variant-numeric: tabular-nums; }
+.metadata { color: #555; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${metadataList}
+${datasets
+  .map(({ label, samples }) => renderSection(label, samples))
+  .join("\n")}
+</body>
+</html>
+`;
+}
+
+/**
+ * Writes the report to disk, creating parent directories
+ * @param {string} filePath - Destination path, e.g. "report.html"
+ * @param {Object[]|number[]} datasets - { label, samples } per sample set, or one samples array
+ * @param {Object} options - Passed to renderHtmlReport
+ * @returns {string} - The path written
+ */
+function writeHtmlReport(filePath, datasets, options = {}) {
+  const sets =
+    Array.isArray(datasets) && typeof datasets[0] === "number"
+      ? [{ label: "Samples", samples: datasets }]
+      : datasets;
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  fs.writeFileSync(filePath, renderHtmlReport(sets, options));
+  return filePath;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const rng = rngFromArgs();
+  const outputIndex = args.indexOf("--output");
+  const output = outputIndex === -1 ? "report.html" : args[outputIndex + 1];
+  const input = args.find(
+    (arg, i) =>
+      !arg.startsWith("--") &&
+      args[i - 1] !== "--seed" &&
+      args[i - 1] !== "--output"
+  );
+
+  console.log(`Seed: ${rng.seed}`);
+
+  const { createMetadata } = require("./exporters");
+  const datasets = [];
+  let metadata;
+  if (input) {
+    // Report on the histogram printed by a line counter script ("-" reads stdin)
+    const text = fs.readFileSync(input === "-" ? 0 : input, "utf8");
+    datasets.push({
+      label: input === "-" ? "stdin" : input,
+      samples: parseLineCountHistogram(text),
+    });
+    metadata = createMetadata("parseLineCountHistogram", { input });
+  } else {
+    const { generateIterations } = require("./iteration_distribution");
+    const { generatePowerLawPreferentialFast } = require("./weighted_sampler");
+
+    const iterationSamples = [];
+    for (let i = 0; i < 10000; i++) {
+      iterationSamples.push(generateIterations(0.1, 0.01, rng));
+    }
+    datasets.push({
+      label: "generateIterations (0.1 growth)",
+      samples: iterationSamples,
+    });
+    datasets.push({
+      label: "generatePowerLawPreferential (alpha=2.5)",
+      samples: generatePowerLawPreferentialFast(2.5, 1, 100000, 0.1, { rng }),
+    });
+    metadata = createMetadata(
+      "html_report.js",
+      { iterationSamples: 10000, powerLawSteps: 100000 },
+      rng
+    );
+  }
+
+  writeHtmlReport(output, datasets, { metadata });
+  console.log(`Wrote ${output}`);
+}
+
+module.exports = {
+  renderSvgChart,
+  renderHtmlReport,
+  writeHtmlReport,
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,265 @@
+/**
+ * Concentration and inequality measures for count distributions.
+ *
+ * Every measure takes the raw values (e.g. counts per element or lines per
+ * function), so simulated distributions and real code bases are compared on
+ * the same footing. Shares of a fraction of the population are read off the
+ * Lorenz curve with linear interpolation, so they are defined for any
+ * fraction and any population size.
+ */
+
+function total(values) {
+  return values.reduce((sum, value) => sum + value, 0);
+}
+
+/**
+ * Calculate Gini coefficient to measure inequality in the distribution
+ */
+function calculateGini(values) {
+  const n = values.length;
+  const sortedValues = [...values].sort((a, b) => a - b);
+  const sum = sortedValues.reduce((acc, val) => acc + val, 0);
+
+  if (sum === 0) return 0;
+
+  let numerator = 0;
+  for (let i = 0; i < n; i++) {
+    numerator += (2 * (i + 1) - n - 1) * sortedValues[i];
+  }
+
+  return numerator / (n * sum);
+}
+
+/**
+ * Theil T index, sum (x / N mu) ln(x / mu); 0 for perfect equality, ln N
+ * when one element holds everything
+ * @param {number[]} values - Non-negative values
+ * @returns {number} - Theil index
+ */
+function theilIndex(values) {
+  const sum = total(values);
+  if (sum === 0) return 0;
+
+  const mean = sum / values.length;
+  let index = 0;
+  for (const value of values) {
+    // x ln x tends to 0 as x tends to 0
+    if (value > 0) index += (value / sum) * Math.log(value / mean);
+  }
+  return index;
+}
+
+/**
+ * Atkinson index, one minus the ratio of the equally distributed equivalent
+ * to the mean
+ * @param {number[]} values - Non-negative values
+ * @param {number} epsilon - Inequality aversion, >= 0 (default: 0.5)
+ * @returns {number} - Atkinson index in [0, 1]
+ */
+function atkinsonIndex(values, epsilon = 0.5) {
+  if (!(epsilon >= 0)) {
+    throw new RangeError(`Atkinson epsilon must be >= 0, got ${epsilon}`);
+  }
+
+  const n = values.length;
+  const sum = total(values);
+  if (sum === 0) return 0;
+  const mean = sum / n;
+
+  if (epsilon === 1) {
+    if (values.some((value) => value === 0)) return 1;
+    const meanLog = total(values.map(Math.log)) / n;
+    return 1 - Math.exp(meanLog) / mean;
+  }
+
+  // With epsilon > 1 a single zero drives the equivalent income to 0
+  if (epsilon > 1 && values.some((value) => value === 0)) return 1;
+
+  const meanPower =
+    total(values.map((value) => Math.pow(value / mean, 1 - epsilon))) / n;
+  return 1 - Math.pow(meanPower, 1 / (1 - epsilon));
+}
+
+/**
+ * Hoover index: the share of the total that would have to move to reach
+ * perfect equality
+ * @param {number[]} values - Non-negative values
+ * @returns {number} - Hoover index in [0, 1]
+ */
+function hooverIndex(values) {
+  const sum = total(values);
+  if (sum === 0) return 0;
+
+  const mean = sum / values.length;
+  return total(values.map((value) => Math.abs(value - mean))) / (2 * sum);
+}
+
+/**
+ * Herfindahl–Hirschman index, the sum of squared shares
+ * @param {number[]} values - Non-negative values
+ * @returns {number} - HHI in [1 / N, 1]
+ */
+function herfindahlIndex(values) {
+  const sum = total(values);
+  if (sum === 0) return 0;
+
+  return total(values.map((value) => (value / sum) ** 2));
+}
+
+/**
+ * Lorenz curve: cumulative share of the total held by the poorest fraction
+ * of the population
+ * @param {number[]} values - Non-negative values
+ * @param {number} points - Evenly spaced points to return (default: one per element)
+ * @returns {Object[]} - { population, share } pairs from (0, 0) to (1, 1)
+ */
+function lorenzCurve(values, points = null) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const n = sorted.length;
+  const sum = total(sorted);
+
+  const curve = [{ population: 0, share: 0 }];
+  let cumulative = 0;
+  sorted.forEach((value, i) => {
+    cumulative += value;
+    curve.push({
+      population: (i + 1) / n,
+      share: sum > 0 ? cumulative / sum : (i + 1) / n,
+    });
+  });
+
+  if (points === null) return curve;
+
+  const resampled = [];
+  for (let i = 0; i < points; i++) {
+    const population = points > 1 ? i / (points - 1) : 1;
+    resampled.push({ population, share: lorenzShare(curve, population) });
+  }
+  return resampled;
+}
+
+/**
+ * Lorenz curve value at a population fraction, interpolating linearly
+ * between elements
+ */
+function lorenzShare(curve, population) {
+  const n = curve.length - 1;
+  if (n === 0) return population;
+
+  const position = population * n;
+  const below = Math.min(Math.floor(position), n - 1);
+  const fraction = position - below;
+  return (
+    curve[below].share +
+    fraction * (curve[below + 1].share - curve[below].share)
+  );
+}
+
+/**
+ * Share of the total held by the top fraction of the population
+ * @param {number[]} values - Non-negative values
+ * @param {number} fraction - Top fraction, e.g. 0.01 for the top 1% (default: 0.1)
+ * @returns {number} - Share in [0, 1]
+ */
+function topShare(values, fraction = 0.1) {
+  if (!(fraction >= 0 && fraction <= 1)) {
+    throw new RangeError(
+      `Top share fraction must be in [0, 1], got ${fraction}`
+    );
+  }
+  return 1 - lorenzShare(lorenzCurve(values), 1 - fraction);
+}
+
+/**
+ * Palma ratio: share of the top 10% divided by the share of the bottom 40%
+ * @param {number[]} values - Non-negative values
+ * @returns {number} - Palma ratio (Infinity when the bottom 40% hold nothing)
+ */
+function palmaRatio(values) {
+  const curve = lorenzCurve(values);
+  const bottom = lorenzShare(curve, 0.4);
+  const top = 1 - lorenzShare(curve, 0.9);
+  if (bottom === 0) return top === 0 ? 0 : Infinity;
+  return top / bottom;
+}
+
+/**
+ * Every inequality measure of a distribution in one object
+ * @param {number[]} values - Non-negative values
+ * @param {Object} options - Optional settings
+ * @param {number[]} options.atkinsonEpsilons - Inequality aversions (default: [0.5, 1, 2])
+ * @param {number[]} options.topFractions - Fractions for topShares (default: [0.01, 0.1, 0.2])
+ * @param {number} options.lorenzPoints - Points on the returned Lorenz curve (default: 101)
+ * @returns {Object} - n, total, gini, theil, atkinson (by epsilon), hoover, palma, hhi,
+ *   topShares (by fraction) and lorenz
+ */
+function inequalityMetrics(
+  values,
+  {
+    atkinsonEpsilons = [0.5, 1, 2],
+    topFractions = [0.01, 0.1, 0.2],
+    lorenzPoints = 101,
+  } = {}
+) {
+  const curve = lorenzCurve(values);
+
+  const atkinson = {};
+  for (const epsilon of atkinsonEpsilons) {
+    atkinson[epsilon] = atkinsonIndex(values, epsilon);
+  }
+
+  const topShares = {};
+  for (const fraction of topFractions) {
+    topShares[fraction] = 1 - lorenzShare(curve, 1 - fraction);
+  }
+
+  return {
+    n: values.length,
+    total: total(values),
+    gini: calculateGini(values),
+    theil: theilIndex(values),
+    atkinson,
+    hoover: hooverIndex(values),
+    palma: palmaRatio(values),
+    hhi: herfindahlIndex(values),
+    topShares,
+    lorenz: lorenzCurve(values, lorenzPoints),
+  };
+}
+
+/**
+ * Print the scalar measures of inequalityMetrics
+ * @param {Object} metrics - Result of inequalityMetrics
+ */
+function printInequalityMetrics(metrics) {
+  console.log(`Theil Index: ${metrics.theil.toFixed(3)}`);
+  // Integer keys such as "1" would otherwise be listed first
+  for (const epsilon of Object.keys(metrics.atkinson).sort((a, b) => a - b)) {
+    console.log(
+      `Atkinson Index (epsilon ${epsilon}): ${metrics.atkinson[epsilon].toFixed(
+        3
+      )}`
+    );
+  }
+  console.log(`Hoover Index: ${metrics.hoover.toFixed(3)}`);
+  console.log(`Palma Ratio: ${metrics.palma.toFixed(3)}`);
+  console.log(`Herfindahl-Hirschman Index: ${metrics.hhi.toFixed(4)}`);
+  for (const [fraction, share] of Object.entries(metrics.topShares)) {
+    console.log(
+      `Top ${(fraction * 100).toFixed(0)}% Share: ${(share * 100).toFixed(1)}%`
+    );
+  }
+}
+
+module.exports = {
+  calculateGini,
+  theilIndex,
+  atkinsonIndex,
+  hooverIndex,
+  herfindahlIndex,
+  palmaRatio,
+  topShare,
+  lorenzCurve,
+  inequalityMetrics,
+  printInequalityMetrics,
+};
@@ -0,0 +1,268 @@
+/**
+ * Exact distribution of generateIterations.
+ *
+ * generateIterations(g, s) compares the growing sample s_j = s (1 + g)^j with
+ * a fresh uniform draw at every step and stops at the first j where the
+ * sample exceeds the draw. Iteration k is therefore reached with probability
+ * prod_{j<k} (1 - s_j) and stops there with probability s_k, so
+ *
+ *   P(K = k) = s_k prod_{j<k} (1 - s_j),  s_j = min(1, s (1 + g)^j),  k >= 0
+ *
+ * (the same product as s (1 + g)^(k-1) prod (1 - s (1 + g)^j) when counting
+ * iterations from 1). Once s_j reaches 1 the loop stops for certain, so the
+ * support is finite and the PMF, moments and quantiles are exact sums.
+ */
+
+const { rngFromArgs } = require("./random");
+const { chiSquareSurvival } = require("./numerics");
+
+/**
+ * Generates the number of iterations for a sample to exceed a random threshold
+ * @param {number} growthRate - Percentage growth rate (e.g., 0.1 for 10% growth)
+ * @param {number} initialSample - Starting sample value (default: 0.01)
+ * @param {Function} rng - Random number generator returning [0, 1) (default: Math.random)
+ * @returns {number} - Number of iterations until sample exceeds random threshold
+ */
+function generateIterations(
+  growthRate,
+  initialSample = 0.01,
+  rng = Math.random
+) {
+  let sample = initialSample;
+  let iterations = 0;
+
+  while (sample <= rng()) {
+    sample *= 1 + growthRate;
+    iterations++;
+  }
+
+  return iterations;
+}
+
+/**
+ * Exact distribution of the number of iterations
+ * @param {number} growthRate - Growth rate per iteration (e.g. 0.1 for 10%)
+ * @param {number} initialSample - Starting sample value (default: 0.01)
+ * @returns {Object} - pmf and cdf arrays indexed by k, mean, variance, sd and maxIterations
+ */
+function iterationDistribution(growthRate, initialSample = 0.01) {
+  if (!(growthRate > 0)) {
+    throw new RangeError(`Growth rate must be positive, got ${growthRate}`);
+  }
+  if (!(initialSample > 0)) {
+    throw new RangeError(
+      `Initial sample must be positive, got ${initialSample}`
+    );
+  }
+
+  const pmf = [];
+  const cdf = [];
+  let survival = 1;
+  let cumulative = 0;
+  // Grow the sample by repeated multiplication, exactly as generateIterations does
+  for (let sample = initialSample; survival > 0; sample *= 1 + growthRate) {
+    const stop = Math.min(1, sample);
+    const probability = survival * stop;
+    pmf.push(probability);
+    cumulative += probability;
+    cdf.push(Math.min(1, cumulative));
+    survival *= 1 - stop;
+  }
+
+  let mean = 0;
+  let secondMoment = 0;
+  pmf.forEach((p, k) => {
+    mean += k * p;
+    secondMoment += k * k * p;
+  });
+  const variance = secondMoment - mean * mean;
+
+  return {
+    growthRate,
+    initialSample,
+    pmf,
+    cdf,
+    mean,
+    variance,
+    sd: Math.sqrt(variance),
+    maxIterations: pmf.length - 1,
+  };
+}
+
+/**
+ * Smallest k with P(K <= k) >= q
+ * @param {Object} distribution - Result of iterationDistribution
+ * @param {number} q - Probability in [0, 1]
+ * @returns {number} - Quantile
+ */
+function iterationQuantile({ cdf }, q) {
+  if (!(q >= 0 && q <= 1)) {
+    throw new RangeError(`Quantile must be in [0, 1], got ${q}`);
+  }
+  // Allow for rounding in the running sum of the CDF
+  const index = cdf.findIndex((p) => p >= q - 1e-12);
+  return index === -1 ? cdf.length - 1 : index;
+}
+
+/**
+ * Counts per value, from samples or an existing histogram
+ */
+function toHistogram(observed) {
+  if (observed instanceof Map) return observed;
+  const histogram = new Map();
+  observed.forEach((k) => histogram.set(k, (histogram.get(k) || 0) + 1));
+  return histogram;
+}
+
+/**
+ * Pearson chi-square and G-tests of an empirical histogram against the exact
+ * PMF. Neighbouring values are pooled until every bin expects at least
+ * minExpected samples; values outside the support make both statistics infinite.
+ * @param {number[]|Map<number, number>} observed - Samples, or counts by value
+ * @param {Object} distribution - Result of iterationDistribution
+ * @param {Object} options - Optional settings
+ * @param {number} options.minExpected - Smallest expected count per bin (default: 5)
+ * @returns {Object} - n, bins, degreesOfFreedom, chiSquare and gTest ({ statistic, pValue })
+ */
+function goodnessOfFit(observed, { pmf }, { minExpected = 5 } = {}) {
+  const histogram = toHistogram(observed);
+  let n = 0;
+  let outside = 0;
+  for (const [k, count] of histogram) {
+    n += count;
+    if (!(Number.isInteger(k) && k >= 0 && k < pmf.length && pmf[k] > 0)) {
+      outside += count;
+    }
+  }
+
+  const bins = [];
+  let current = { from: 0, to: 0, observed: 0, expected: 0 };
+  pmf.forEach((p, k) => {
+    current.to = k;
+    current.observed += histogram.get(k) || 0;
+    current.expected += n * p;
+    if (current.expected >= minExpected) {
+      bins.push(current);
+      current = { from: k + 1, to: k + 1, observed: 0, expected: 0 };
+    }
+  });
+  // Fold a short tail into the last full bin
+  if (current.expected > 0 || current.observed > 0) {
+    if (bins.length > 0) {
+      const last = bins[bins.length - 1];
+      last.to = current.to;
+      last.observed += current.observed;
+      last.expected += current.expected;
+    } else {
+      bins.push(current);
+    }
+  }
+
+  const degreesOfFreedom = Math.max(1, bins.length - 1);
+  if (outside > 0) {
+    const impossible = { statistic: Infinity, pValue: 0 };
+    return {
+      n,
+      bins,
+      degreesOfFreedom,
+      chiSquare: impossible,
+      gTest: impossible,
+    };
+  }
+
+  let chiSquare = 0;
+  let g = 0;
+  for (const bin of bins) {
+    chiSquare += (bin.observed - bin.expected) ** 2 / bin.expected;
+    if (bin.observed > 0) {
+      g += 2 * bin.observed * Math.log(bin.observed / bin.expected);
+    }
+  }
+
+  return {
+    n,
+    bins,
+    degreesOfFreedom,
+    chiSquare: {
+      statistic: chiSquare,
+      pValue: chiSquareSurvival(chiSquare, degreesOfFreedom),
+    },
+    gTest: { statistic: g, pValue: chiSquareSurvival(g, degreesOfFreedom) },
+  };
+}
+
+/**
+ * Print the exact moments and quantiles of a distribution
+ * @param {Object} distribution - Result of iterationDistribution
+ */
+function printIterationDistribution(distribution) {
+  const { growthRate, initialSample, mean, variance, sd, maxIterations } =
+    distribution;
+  console.log(
+    `\n=== Exact distribution (growth ${growthRate}, initial sample ${initialSample}) ===`
+  );
+  console.log(`Mean: ${mean.toFixed(6)}`);
+  console.log(`Variance: ${variance.toFixed(6)}`);
+  console.log(`Standard deviation: ${sd.toFixed(6)}`);
+  console.log(`Support: 0 to ${maxIterations} iterations`);
+  console.log(
+    [0.25, 0.5, 0.75, 0.9, 0.95, 0.99]
+      .map((q) => `P${q * 100}: ${iterationQuantile(distribution, q)}`)
+      .join(", ")
+  );
+}
+
+/**
+ * Print the chi-square and G-test verdicts for an empirical sample set
+ * @param {Object} result - Result of goodnessOfFit
+ * @param {string} label - Description of the samples
+ */
+function printGoodnessOfFit(
+  { n, bins, degreesOfFreedom, chiSquare, gTest },
+  label
+) {
+  console.log(
+    `${label} vs exact PMF (${n.toLocaleString()} samples, ${
+      bins.length
+    } bins, ${degreesOfFreedom} df): chi-square ${chiSquare.statistic.toFixed(
+      2
+    )} (p = ${chiSquare.pValue.toFixed(4)}), G ${gTest.statistic.toFixed(
+      2
+    )} (p = ${gTest.pValue.toFixed(4)})`
+  );
+}
+
+function main() {
+  const rng = rngFromArgs();
+  console.log(`Seed: ${rng.seed}`);
+
+  for (const growthRate of [0.01, 0.1, 0.5]) {
+    const distribution = iterationDistribution(growthRate, 0.01);
+    printIterationDistribution(distribution);
+
+    const samples = [];
+    for (let i = 0; i < 100000; i++) {
+      samples.push(generateIterations(growthRate, 0.01, rng));
+    }
+    const empiricalMean = samples.reduce((a, b) => a + b, 0) / samples.length;
+    console.log(
+      `Empirical mean of ${samples.length.toLocaleString()} samples: ${empiricalMean.toFixed(
+        6
+      )}`
+    );
+    printGoodnessOfFit(goodnessOfFit(samples, distribution), "Samples");
+  }
+}
+
+module.exports = {
+  generateIterations,
+  iterationDistribution,
+  iterationQuantile,
+  goodnessOfFit,
+  printIterationDistribution,
+  printGoodnessOfFit,
+};
+
+if (require.main === module) {
+  main();
+}
@@ -1,83 +1,130 @@
+const { rngFromArgs } = require("./random");
+const {
+  generateIterations,
+  printHistogram,
+} = require("./preferential_attachment");
+const { createStreamingStats } = require("./streaming_stats");
+const { readCheckpoint, runCheckpointed } = require("./checkpoint");
+const {
+  iterationDistribution,
+  goodnessOfFit,
+  printIterationDistribution,
+  printGoodnessOfFit,
+} = require("./iteration_distribution");
+
 /**
- * Generates the number of iterations for a sample to exceed a random threshold
- * @param {number} growthRate - Percentage growth rate (e.g., 0.1 for 10% growth)
- * @param {number} initialSample - Starting sample value (default: 0.01)
- * @returns {number} - Number of iterations until sample exceeds random threshold
+ * The 110M-sample run, checkpointed every 10M samples when a path is given
+ * @param {Function} rng - Seeded generator (ignored when resuming)
+ * @param {Object} options - checkpoint path and resume file (default: neither)
+ * @returns {Object} - Streaming statistics of all 110M samples
  */
-function generateIterations(growthRate, initialSample = 0.01) {
-  let sample = initialSample;
-  let iterations = 0;
-
-  while (sample <= Math.random()) {
-    sample *= 1 + growthRate;
-    iterations++;
-  }
-
-  return iterations;
+function run110M(rng, { checkpoint = null, resume = null } = {}) {
+  const total = 110000000;
+  const { state } = runCheckpointed(
+    total,
+    {
+      kind: "iterationGenerator",
+      parameters: { growthRate: 0.1, initialSample: 0.01 },
+      // Integer samples get exact quantiles from the histogram; skip the P² markers
+      initialState: () => createStreamingStats({ quantiles: [] }),
+      advance: (stats, i, rng) => {
+        stats.add(generateIterations(0.1, 0.01, rng));
+        if ((i + 1) % 10000000 === 0) {
+          console.log(`  Completed ${(i + 1) / 1000000}M samples...`);
+        }
+      },
+      saveState: (stats) => stats.getState(),
+      loadState: (saved) =>
+        createStreamingStats({ quantiles: [] }).setState(saved),
+    },
+    {
+      rng,
+      checkpoint: checkpoint && { path: checkpoint, interval: 10000000 },
+      resume,
+    }
+  );
+  return state;
 }
 
-function printHistogram(results, label) {
-  const frequencyMap = new Map();
-  let sum = 0;
+function main() {
+  const args = process.argv.slice(2);
+  const checkpointIndex = args.indexOf("--checkpoint");
+  const resumeIndex = args.indexOf("--resume");
+  const resume = resumeIndex === -1 ? null : args[resumeIndex + 1];
+  // A resumed run keeps writing to the file it resumed from
+  const checkpoint =
+    checkpointIndex === -1 ? resume : args[checkpointIndex + 1];
 
-  results.forEach((iter) => {
-    frequencyMap.set(iter, (frequencyMap.get(iter) || 0) + 1);
-    sum += iter;
-  });
+  const resumed = resume ? readCheckpoint(resume) : null;
+  const rng = resumed ? resumed.rng : rngFromArgs();
+  console.log(`Seed: ${rng.seed}`);
 
-  const avg = sum / results.length;
-  console.log(`\n${label}: ${avg.toFixed(6)}`);
+  // The exact values are the reference; the sample runs below verify them
+  const exact = iterationDistribution(0.1, 0.01);
+  printIterationDistribution(exact);
+  console.log();
 
-  // Sort and display top frequencies
-  const sortedFreqs = Array.from(frequencyMap.entries()).sort(
-    (a, b) => a[0] - b[0]
-  ); // Sort by iteration count
+  // A resumed run continues the 110M samples where its checkpoint left off.
+  // The runs below print histograms and tests only, so they skip the P² markers
+  if (!resume) {
+    // Run 100K samples
+    console.log("Running 100,000 samples...");
+    const results100K = createStreamingStats({ quantiles: [] });
+    for (let i = 0; i < 100000; i++) {
+      results100K.add(generateIterations(0.1, 0.01, rng));
+    }
+    printHistogram(results100K, "100K samples");
+    printGoodnessOfFit(
+      goodnessOfFit(results100K.histogram(), exact),
+      "100K samples"
+    );
 
-  console.log("Histogram:");
-  for (const [iterations, count] of sortedFreqs) {
-    const percentage = ((count / results.length) * 100).toFixed(3);
-    const bar = "█".repeat(
-      Math.max(1, Math.floor(count / Math.max(1, results.length / 50)))
+    // Run 1M samples
+    console.log("\nRunning 1,000,000 samples...");
+    const results1M = createStreamingStats({ quantiles: [] });
+    for (let i = 0; i < 1000000; i++) {
+      results1M.add(generateIterations(0.1, 0.01, rng));
+    }
+    printHistogram(results1M, "1M samples");
+    printGoodnessOfFit(
+      goodnessOfFit(results1M.histogram(), exact),
+      "1M samples"
     );
-    console.log(`${iterations}: ${count} (${percentage}%) ${bar}`);
-  }
-}
 
-// Run 100K samples
-console.log("Running 100,000 samples...");
-const results100K = [];
-for (let i = 0; i < 100000; i++) {
-  results100K.push(generateIterations(0.1));
-}
-printHistogram(results100K, "100K samples");
+    // Run 10M samples
+    console.log("\nRunning 10,000,000 samples...");
+    const results10M = createStreamingStats({ quantiles: [] });
+    for (let i = 0; i < 10000000; i++) {
+      results10M.add(generateIterations(0.1, 0.01, rng));
+    }
+    printHistogram(results10M, "10M samples");
+    printGoodnessOfFit(
+      goodnessOfFit(results10M.histogram(), exact),
+      "10M samples"
+    );
+  }
 
-// Run 1M samples
-console.log("\nRunning 1,000,000 samples...");
-const results1M = [];
-for (let i = 0; i < 1000000; i++) {
-  results1M.push(generateIterations(0.1));
-}
-printHistogram(results1M, "1M samples");
+  // Just show the averages for larger samples without full histograms
+  console.log("\n=== Larger Sample Averages ===");
 
-// Run 10M samples
-console.log("\nRunning 10,000,000 samples...");
-const results10M = [];
-for (let i = 0; i < 10000000; i++) {
-  results10M.push(generateIterations(0.1));
+  // 110M samples (average only)
+  console.log("\nRunning 110,000,000 samples...");
+  if (resumed) {
+    console.log(
+      `  Resuming after ${resumed.step.toLocaleString()} samples from ${resume}`
+    );
+  }
+  const results110M = run110M(rng, { checkpoint, resume });
+  const avg110M = results110M.mean();
+  console.log(`Average with 110M samples: ${avg110M.toFixed(6)}`);
+  console.log(
+    `Exact mean: ${exact.mean.toFixed(6)} (difference ${(
+      (avg110M - exact.mean) /
+      (exact.sd / Math.sqrt(110000000))
+    ).toFixed(2)} standard errors)`
+  );
 }
-printHistogram(results10M, "10M samples");
-
-// Just show the averages for larger samples without full histograms
-console.log("\n=== Larger Sample Averages ===");
 
-// 110M samples (average only)
-console.log("\nRunning 110,000,000 samples...");
-let sum = 0;
-for (let i = 0; i < 110000000; i++) {
-  sum += generateIterations(0.1);
-  if ((i + 1) % 10000000 === 0) {
-    console.log(`  Completed ${(i + 1) / 1000000}M samples...`);
-  }
+if (require.main === module) {
+  main();
 }
-const avg110M = sum / 110000000;
-console.log(`Average with 110M samples: ${avg110M.toFixed(6)}`);
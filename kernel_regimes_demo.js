@@ -0,0 +1,67 @@
+const { rngFromArgs } = require("./random");
+const {
+  calculateGini,
+  linearKernel,
+  powerKernel,
+  initialAttractivenessKernel,
+  fitnessKernel,
+  uniformFitness,
+  generateKernelPreferential,
+} = require("./preferential_attachment");
+
+/**
+ * Print the concentration of one run: element count, leader share and Gini
+ * @param {string} label - Kernel description
+ * @param {number[]} values - Final values array
+ */
+function summarise(label, values) {
+  const total = values.reduce((sum, v) => sum + v, 0);
+  const max = Math.max(...values);
+  const leaderShare = ((max / total) * 100).toFixed(1);
+  console.log(
+    `${label.padEnd(32)} ${values.length.toString().padStart(8)} ${max
+      .toString()
+      .padStart(8)} ${`${leaderShare}%`.padStart(8)} ${calculateGini(
+      values
+    ).toFixed(3)}`
+  );
+}
+
+function main() {
+  const rng = rngFromArgs();
+  console.log(`Seed: ${rng.seed}\n`);
+
+  const steps = 100000;
+  const newElementProbability = 0.1;
+
+  console.log(
+    `=== Attachment kernels: ${steps.toLocaleString()} steps, new element probability ${newElementProbability} ===`
+  );
+  console.log(
+    `${"Kernel".padEnd(32)} ${"Elements".padStart(8)} ${"Max".padStart(
+      8
+    )} ${"Leader".padStart(8)} Gini`
+  );
+
+  const kernels = [
+    ["sublinear k^0.5", powerKernel(0.5)],
+    ["linear k", linearKernel],
+    ["superlinear k^1.5", powerKernel(1.5)],
+    ["initial attractiveness k + 5", initialAttractivenessKernel(5)],
+    ["fitness eta_i * k", fitnessKernel(uniformFitness(rng))],
+    ["user supplied log(1 + k)", (k) => Math.log1p(k)],
+  ];
+
+  for (const [label, kernel] of kernels) {
+    summarise(
+      label,
+      generateKernelPreferential(kernel, 1, steps, newElementProbability, {
+        rng,
+      })
+    );
+  }
+}
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,65 @@
+const { rngFromArgs } = require("./random");
+const { generateIterations } = require("./preferential_attachment");
+const { createStreamingStats } = require("./streaming_stats");
+
+function main() {
+  console.log("=== Million Iteration Generation Test ===\n");
+
+  const rng = rngFromArgs();
+  console.log(`Seed: ${rng.seed}`);
+
+  console.log(
+    "Running generateIterations 1,000,000 times with 10% growth rate..."
+  );
+  const startTime = Date.now();
+  const stats = createStreamingStats();
+
+  for (let i = 0; i < 1000000; i++) {
+    stats.add(generateIterations(0.1, 0.01, rng)); // 10% growth rate
+  }
+
+  const endTime = Date.now();
+  console.log(`Completed in ${endTime - startTime}ms\n`);
+
+  console.log("Distribution of iteration counts:");
+  const sortedFrequencies = stats.sortedHistogram();
+  const maxFreq = Math.max(...sortedFrequencies.map(([, count]) => count));
+  const maxBarLength = 50;
+
+  for (const [iterations, count] of sortedFrequencies) {
+    const barLength = Math.max(1, Math.floor((count / maxFreq) * maxBarLength));
+    const bar = "█".repeat(barLength);
+    const percentage = ((count / stats.count()) * 100).toFixed(2);
+    console.log(
+      `${iterations} iterations: ${count.toLocaleString()} samples (${percentage}%) ${bar}`
+    );
+  }
+
+  const median = stats.quantile(0.5);
+
+  console.log("\n=== STATISTICS ===");
+  console.log(`Total samples: ${stats.count().toLocaleString()}`);
+  console.log(`Average iterations: ${stats.mean().toFixed(3)}`);
+  console.log(`Median iterations: ${median}`);
+  console.log(`Maximum iterations: ${stats.max()}`);
+  console.log(`Minimum iterations: ${stats.min()}`);
+  console.log(`Standard deviation: ${stats.sd().toFixed(3)}`);
+
+  const p25 = stats.quantile(0.25);
+  const p75 = stats.quantile(0.75);
+  const p90 = stats.quantile(0.9);
+  const p95 = stats.quantile(0.95);
+  const p99 = stats.quantile(0.99);
+
+  console.log("\n=== PERCENTILES ===");
+  console.log(`25th percentile: ${p25} iterations`);
+  console.log(`50th percentile (median): ${median} iterations`);
+  console.log(`75th percentile: ${p75} iterations`);
+  console.log(`90th percentile: ${p90} iterations`);
+  console.log(`95th percentile: ${p95} iterations`);
+  console.log(`99th percentile: ${p99} iterations`);
+}
+
+if (require.main === module) {
+  main();
+}
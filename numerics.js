@@ -0,0 +1,299 @@
+/**
+ * Numerical helpers shared by the distribution fitting modules.
+ */
+
+// Bernoulli numbers B2, B4, ..., B14 for the Euler–Maclaurin tail
+const BERNOULLI = [1 / 6, -1 / 30, 1 / 42, -1 / 30, 5 / 66, -691 / 2730, 7 / 6];
+
+/**
+ * Hurwitz zeta function sum_{k>=0} (q + k)^-s, via Euler–Maclaurin summation
+ * @param {number} s - Exponent, must be greater than 1
+ * @param {number} q - Offset, must be positive
+ * @returns {number} - zeta(s, q)
+ */
+function hurwitzZeta(s, q) {
+  if (!(s > 1)) {
+    throw new RangeError(`Hurwitz zeta requires s > 1, got ${s}`);
+  }
+
+  const terms = 10;
+  let sum = 0;
+  for (let k = 0; k < terms; k++) {
+    sum += Math.pow(q + k, -s);
+  }
+
+  const a = q + terms;
+  sum += Math.pow(a, 1 - s) / (s - 1) + Math.pow(a, -s) / 2;
+
+  // sum_j B_2j / (2j)! * s(s+1)...(s+2j-2) * a^(-s-2j+1)
+  let rising = s;
+  let factorial = 2;
+  let power = Math.pow(a, -s - 1);
+  for (let j = 1; j <= BERNOULLI.length; j++) {
+    const term = (BERNOULLI[j - 1] / factorial) * rising * power;
+    sum += term;
+    if (Math.abs(term) < 1e-16 * sum) break;
+
+    rising *= (s + 2 * j - 1) * (s + 2 * j);
+    factorial *= (2 * j + 1) * (2 * j + 2);
+    power /= a * a;
+  }
+
+  return sum;
+}
+
+/**
+ * Minimises a unimodal function on an interval by golden-section search
+ * @param {Function} f - Function of one variable
+ * @param {number} lower - Left end of the interval
+ * @param {number} upper - Right end of the interval
+ * @param {number} tolerance - Interval width at which to stop (default: 1e-8)
+ * @returns {number} - Location of the minimum
+ */
+function goldenSectionMinimize(f, lower, upper, tolerance = 1e-8) {
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  let a = lower;
+  let b = upper;
+  let c = b - ratio * (b - a);
+  let d = a + ratio * (b - a);
+  let fc = f(c);
+  let fd = f(d);
+
+  while (b - a > tolerance) {
+    if (fc < fd) {
+      b = d;
+      d = c;
+      fd = fc;
+      c = b - ratio * (b - a);
+      fc = f(c);
+    } else {
+      a = c;
+      c = d;
+      fc = fd;
+      d = a + ratio * (b - a);
+      fd = f(d);
+    }
+  }
+
+  return (a + b) / 2;
+}
+
+/**
+ * Minimises a function of several variables with the Nelder–Mead simplex
+ * @param {Function} f - Function taking an array of numbers
+ * @param {number[]} start - Initial point
+ * @param {Object} options - Optional settings
+ * @param {number} options.step - Initial simplex edge length (default: 0.5)
+ * @param {number} options.tolerance - Spread of simplex values at which to stop (default: 1e-10)
+ * @param {number} options.maxIterations - Iteration limit (default: 2000)
+ * @returns {Object} - point (location of the minimum) and value
+ */
+function nelderMead(
+  f,
+  start,
+  { step = 0.5, tolerance = 1e-10, maxIterations = 2000 } = {}
+) {
+  const dimension = start.length;
+  const evaluate = (point) => {
+    const value = f(point);
+    return Number.isFinite(value) ? value : Infinity;
+  };
+
+  let simplex = [start.slice()];
+  for (let i = 0; i < dimension; i++) {
+    const vertex = start.slice();
+    vertex[i] += step;
+    simplex.push(vertex);
+  }
+  let values = simplex.map(evaluate);
+
+  const combine = (a, b, weight) => a.map((x, i) => x + weight * (b[i] - x));
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    const order = values.map((_, i) => i).sort((a, b) => values[a] - values[b]);
+    simplex = order.map((i) => simplex[i]);
+    values = order.map((i) => values[i]);
+
+    if (Math.abs(values[dimension] - values[0]) < tolerance) break;
+
+    const centroid = new Array(dimension).fill(0);
+    for (let i = 0; i < dimension; i++) {
+      for (let j = 0; j < dimension; j++)
+        centroid[j] += simplex[i][j] / dimension;
+    }
+
+    const worst = simplex[dimension];
+    const reflected = combine(centroid, worst, -1);
+    const reflectedValue = evaluate(reflected);
+
+    if (reflectedValue < values[0]) {
+      const expanded = combine(centroid, worst, -2);
+      const expandedValue = evaluate(expanded);
+      if (expandedValue < reflectedValue) {
+        simplex[dimension] = expanded;
+        values[dimension] = expandedValue;
+      } else {
+        simplex[dimension] = reflected;
+        values[dimension] = reflectedValue;
+      }
+    } else if (reflectedValue < values[dimension - 1]) {
+      simplex[dimension] = reflected;
+      values[dimension] = reflectedValue;
+    } else {
+      const contracted = combine(centroid, worst, 0.5);
+      const contractedValue = evaluate(contracted);
+      if (contractedValue < values[dimension]) {
+        simplex[dimension] = contracted;
+        values[dimension] = contractedValue;
+      } else {
+        // Shrink everything towards the best vertex
+        for (let i = 1; i <= dimension; i++) {
+          simplex[i] = combine(simplex[0], simplex[i], 0.5);
+          values[i] = evaluate(simplex[i]);
+        }
+      }
+    }
+  }
+
+  let best = 0;
+  for (let i = 1; i <= dimension; i++) if (values[i] < values[best]) best = i;
+  return { point: simplex[best], value: values[best] };
+}
+
+/**
+ * Complementary error function, with fractional error below 1.2e-7
+ * everywhere (Numerical Recipes erfcc), so far tails keep their precision
+ * @param {number} x - Argument
+ * @returns {number} - erfc(x)
+ */
+function erfc(x) {
+  const z = Math.abs(x);
+  const t = 1 / (1 + 0.5 * z);
+  const result =
+    t *
+    Math.exp(
+      -z * z -
+        1.26551223 +
+        t *
+          (1.00002368 +
+            t *
+              (0.37409196 +
+                t *
+                  (0.09678418 +
+                    t *
+                      (-0.18628806 +
+                        t *
+                          (0.27886807 +
+                            t *
+                              (-1.13520398 +
+                                t *
+                                  (1.48851587 +
+                                    t * (-0.82215223 + t * 0.17087277))))))))
+    );
+  return x >= 0 ? result : 2 - result;
+}
+
+/**
+ * Upper tail of the standard normal distribution, P(Z > z)
+ * @param {number} z - Standard score
+ * @returns {number} - Survival probability
+ */
+function normalSurvival(z) {
+  return 0.5 * erfc(z / Math.SQRT2);
+}
+
+// Lanczos coefficients (g = 7, n = 9)
+const LANCZOS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+  771.32342877765313, -176.61502916214059, 12.507343278686905,
+  -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7,
+];
+
+/**
+ * Natural logarithm of the gamma function, by the Lanczos approximation
+ * @param {number} x - Positive argument
+ * @returns {number} - ln Gamma(x)
+ */
+function logGamma(x) {
+  if (x < 0.5) {
+    // Reflection formula
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+
+  const z = x - 1;
+  let series = LANCZOS[0];
+  for (let i = 1; i < LANCZOS.length; i++) series += LANCZOS[i] / (z + i);
+  const t = z + 7.5;
+  return (
+    0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(series)
+  );
+}
+
+/**
+ * Regularised upper incomplete gamma function Q(a, x) = Gamma(a, x) / Gamma(a),
+ * by its series below x = a + 1 and its continued fraction above
+ * @param {number} a - Shape, must be positive
+ * @param {number} x - Argument, must be non-negative
+ * @returns {number} - Q(a, x)
+ */
+function regularizedGammaQ(a, x) {
+  if (!(a > 0) || !(x >= 0)) {
+    throw new RangeError(`Incomplete gamma requires a > 0 and x >= 0`);
+  }
+  if (x === 0) return 1;
+  if (x === Infinity) return 0;
+
+  const logPrefactor = a * Math.log(x) - x - logGamma(a);
+
+  if (x < a + 1) {
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n < 1000; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 1e-15) break;
+    }
+    return 1 - sum * Math.exp(logPrefactor);
+  }
+
+  // Modified Lentz evaluation of the continued fraction
+  const tiny = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let h = d;
+  for (let n = 1; n < 1000; n++) {
+    const an = -n * (n - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = b + an / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-15) break;
+  }
+  return Math.exp(logPrefactor) * h;
+}
+
+/**
+ * Upper tail of the chi-square distribution, P(X > statistic)
+ * @param {number} statistic - Observed chi-square value
+ * @param {number} degreesOfFreedom - Degrees of freedom
+ * @returns {number} - p-value
+ */
+function chiSquareSurvival(statistic, degreesOfFreedom) {
+  return regularizedGammaQ(degreesOfFreedom / 2, statistic / 2);
+}
+
+module.exports = {
+  hurwitzZeta,
+  goldenSectionMinimize,
+  nelderMead,
+  erfc,
+  normalSurvival,
+  logGamma,
+  regularizedGammaQ,
+  chiSquareSurvival,
+};
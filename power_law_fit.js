@@ -0,0 +1,330 @@
+/**
+ * Maximum-likelihood power-law fitting for discrete data, following
+ * Clauset, Shalizi & Newman (2009), "Power-law distributions in empirical data":
+ * - alpha by maximum likelihood for a given xmin
+ * - xmin chosen by minimising the Kolmogorov–Smirnov distance
+ * - goodness of fit by a semi-parametric bootstrap p-value
+ */
+
+const fs = require("fs");
+const { rngFromArgs } = require("./random");
+const { hurwitzZeta, goldenSectionMinimize } = require("./numerics");
+
+const ALPHA_RANGE = [1.0001, 10];
+
+/**
+ * Groups positive samples into sorted distinct values with suffix sums,
+ * so every candidate xmin's tail statistics are O(1) to look up
+ * @param {number[]} samples - Sample values (values below 1 are ignored)
+ * @returns {Object} - values, counts, tailCounts and tailLogSums per distinct value
+ */
+function summarise(samples) {
+  const freq = new Map();
+  for (const x of samples) {
+    if (x >= 1) freq.set(x, (freq.get(x) || 0) + 1);
+  }
+
+  const values = Array.from(freq.keys()).sort((a, b) => a - b);
+  const counts = values.map((x) => freq.get(x));
+  const tailCounts = new Array(values.length + 1).fill(0);
+  const tailLogSums = new Array(values.length + 1).fill(0);
+
+  for (let i = values.length - 1; i >= 0; i--) {
+    tailCounts[i] = tailCounts[i + 1] + counts[i];
+    tailLogSums[i] = tailLogSums[i + 1] + counts[i] * Math.log(values[i]);
+  }
+
+  return { values, counts, tailCounts, tailLogSums };
+}
+
+/**
+ * Maximum-likelihood alpha for the tail above xmin
+ * @param {number} n - Number of tail samples
+ * @param {number} logSum - Sum of log(x) over the tail
+ * @param {number} xmin - Lower bound of the power-law tail
+ * @returns {Object} - alpha and the log-likelihood at alpha
+ */
+function maximumLikelihoodAlpha(n, logSum, xmin) {
+  const negativeLogLikelihood = (alpha) =>
+    n * Math.log(hurwitzZeta(alpha, xmin)) + alpha * logSum;
+
+  const alpha = goldenSectionMinimize(negativeLogLikelihood, ...ALPHA_RANGE);
+  return { alpha, logLikelihood: -negativeLogLikelihood(alpha) };
+}
+
+/**
+ * Kolmogorov–Smirnov distance between the tail's empirical CDF and the
+ * fitted discrete power law
+ * @param {Object} summary - Result of summarise
+ * @param {number} start - Index of xmin in summary.values
+ * @param {number} alpha - Fitted exponent
+ * @param {number} xmin - Lower bound of the tail (default: values[start])
+ * @returns {number} - Maximum absolute CDF difference
+ */
+function ksDistance(summary, start, alpha, xmin = summary.values[start]) {
+  const { values, counts, tailCounts } = summary;
+  const n = tailCounts[start];
+  const normaliser = hurwitzZeta(alpha, xmin);
+
+  let cumulative = 0;
+  let distance = 0;
+  for (let i = start; i < values.length; i++) {
+    // The empirical CDF jumps at each observed value; compare both sides
+    const modelBefore = 1 - hurwitzZeta(alpha, values[i]) / normaliser;
+    const modelAt = 1 - hurwitzZeta(alpha, values[i] + 1) / normaliser;
+    distance = Math.max(distance, Math.abs(cumulative / n - modelBefore));
+    cumulative += counts[i];
+    distance = Math.max(distance, Math.abs(cumulative / n - modelAt));
+  }
+
+  return distance;
+}
+
+/**
+ * Indices of the distinct values where a fitted tail may start: the first
+ * value at or above a fixed xmin, or every value with a large enough tail
+ * @param {Object} summary - Result of summarise
+ * @param {number|null} xmin - Fixed xmin, or null to search
+ * @param {number} minTailSize - Smallest tail considered when searching
+ * @returns {number[]} - Candidate indices into summary.values, empty when
+ *   the samples cannot be fitted
+ */
+function tailCandidates(summary, xmin, minTailSize) {
+  const { values, tailCounts } = summary;
+  const candidates = values.map((_, i) => i);
+  if (xmin !== null) {
+    return candidates.filter((i) => values[i] >= xmin).slice(0, 1);
+  }
+  // A tail with a single distinct value has no shape to fit
+  return candidates.filter(
+    (i) => i < values.length - 1 && tailCounts[i] >= minTailSize
+  );
+}
+
+/**
+ * The candidate tail with the smallest KS distance. With a fixed xmin the
+ * tail is bounded by xmin itself, whether or not xmin was observed.
+ */
+function bestTailFit(summary, candidates, xmin) {
+  const { values, tailCounts, tailLogSums } = summary;
+  let best = null;
+  for (const i of candidates) {
+    const n = tailCounts[i];
+    const lower = xmin === null ? values[i] : xmin;
+    const { alpha, logLikelihood } = maximumLikelihoodAlpha(
+      n,
+      tailLogSums[i],
+      lower
+    );
+    const ks = ksDistance(summary, i, alpha, lower);
+
+    if (best === null || ks < best.ks) {
+      best = { alpha, xmin: lower, ks, nTail: n, logLikelihood };
+    }
+  }
+  return best;
+}
+
+/**
+ * Fits a discrete power law p(x) = x^-alpha / zeta(alpha, xmin) for x >= xmin
+ * @param {number[]} samples - Positive integer samples (e.g. counts or line counts)
+ * @param {Object} options - Optional settings
+ * @param {number} options.xmin - Fixed xmin (a positive integer) instead of the KS search
+ * @param {number} options.minTailSize - Smallest tail considered for xmin (default: 10)
+ * @returns {Object} - alpha, xmin, sigma (standard error), ks, n, nTail and logLikelihood
+ */
+function fitPowerLaw(samples, { xmin = null, minTailSize = 10 } = {}) {
+  if (xmin !== null && !(Number.isInteger(xmin) && xmin >= 1)) {
+    throw new RangeError(`xmin must be a positive integer, got ${xmin}`);
+  }
+
+  const summary = summarise(samples);
+  const candidates = tailCandidates(summary, xmin, minTailSize);
+  if (candidates.length === 0) {
+    throw new Error(
+      `Not enough data to fit a power law (${summary.tailCounts[0]} positive samples)`
+    );
+  }
+
+  const best = bestTailFit(summary, candidates, xmin);
+  return {
+    ...best,
+    sigma: (best.alpha - 1) / Math.sqrt(best.nTail),
+    n: samples.length,
+  };
+}
+
+/**
+ * Whether fitPowerLaw can fit the samples, so callers can tell too little
+ * data apart from real errors without catching
+ * @param {number[]} samples - Sample values
+ * @param {Object} options - fitPowerLaw options (xmin, minTailSize)
+ * @returns {boolean}
+ */
+function canFitPowerLaw(samples, { xmin = null, minTailSize = 10 } = {}) {
+  return tailCandidates(summarise(samples), xmin, minTailSize).length > 0;
+}
+
+/**
+ * Draws one value from a discrete power law above xmin, using the
+ * continuous approximation recommended by Clauset et al. (appendix D)
+ * @param {number} alpha - Exponent
+ * @param {number} xmin - Lower bound
+ * @param {Function} rng - Random number generator
+ * @returns {number} - Integer sample >= xmin
+ */
+function samplePowerLaw(alpha, xmin, rng = Math.random) {
+  const r = rng();
+  return Math.max(
+    xmin,
+    Math.floor((xmin - 0.5) * Math.pow(1 - r, -1 / (alpha - 1)) + 0.5)
+  );
+}
+
+/**
+ * Goodness-of-fit p-value by semi-parametric bootstrap: synthetic data sets
+ * keep the empirical body below xmin and draw the tail from the fitted law,
+ * are refitted from scratch, and p is the fraction whose KS distance is at
+ * least the observed one. p < 0.1 rules the power law out.
+ * @param {number[]} samples - The samples that were fitted
+ * @param {Object} fit - Result of fitPowerLaw
+ * @param {Object} options - Optional settings
+ * @param {number} options.replicates - Number of synthetic data sets (default: 100)
+ * @param {Function} options.rng - Random number generator (default: Math.random)
+ * @param {number} options.minTailSize - Passed to fitPowerLaw (default: 10)
+ * @returns {number} - Bootstrap p-value
+ */
+function powerLawPValue(
+  samples,
+  fit,
+  { replicates = 100, rng = Math.random, minTailSize = 10 } = {}
+) {
+  const positive = samples.filter((x) => x >= 1);
+  const body = positive.filter((x) => x < fit.xmin);
+  const tailProbability = fit.nTail / positive.length;
+
+  let atLeastAsFar = 0;
+  for (let r = 0; r < replicates; r++) {
+    const synthetic = [];
+    for (let i = 0; i < positive.length; i++) {
+      if (body.length === 0 || rng() < tailProbability) {
+        synthetic.push(samplePowerLaw(fit.alpha, fit.xmin, rng));
+      } else {
+        synthetic.push(body[Math.floor(rng() * body.length)]);
+      }
+    }
+
+    const summary = summarise(synthetic);
+    const candidates = tailCandidates(summary, null, minTailSize);
+    // A degenerate synthetic set, with no tail to fit, counts as a worse fit
+    if (
+      candidates.length === 0 ||
+      bestTailFit(summary, candidates, null).ks >= fit.ks
+    ) {
+      atLeastAsFar++;
+    }
+  }
+
+  return atLeastAsFar / replicates;
+}
+
+/**
+ * Print a power-law fit
+ * @param {Object} fit - Result of fitPowerLaw, optionally with pValue
+ * @param {string} label - Heading for the printed block
+ */
+function printPowerLawFit(fit, label) {
+  console.log(`\n=== ${label} Power-Law Fit ===`);
+  console.log(`alpha: ${fit.alpha.toFixed(3)} ± ${fit.sigma.toFixed(3)}`);
+  console.log(`xmin: ${fit.xmin}`);
+  console.log(
+    `Tail size: ${fit.nTail.toLocaleString()} of ${fit.n.toLocaleString()} samples`
+  );
+  console.log(`KS distance: ${fit.ks.toFixed(4)}`);
+  if (fit.pValue !== undefined) {
+    const verdict =
+      fit.pValue < 0.1 ? "power law ruled out" : "power law plausible";
+    console.log(`Bootstrap p-value: ${fit.pValue.toFixed(3)} (${verdict})`);
+  }
+}
+
+/**
+ * Parses the "<lines> <count>" histogram printed by the line counter scripts
+ * back into one sample per function
+ * @param {string} text - Output of a line counter script
+ * @returns {number[]} - Line count of every function
+ */
+function parseLineCountHistogram(text) {
+  const samples = [];
+  for (const line of text.split("\n")) {
+    const match = line.trim().match(/^(\d+) (\d+)$/);
+    if (match) {
+      const lineCount = parseInt(match[1]);
+      for (let i = 0; i < parseInt(match[2]); i++) samples.push(lineCount);
+    }
+  }
+  return samples;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const rng = rngFromArgs();
+  const bootstrapIndex = args.indexOf("--bootstrap");
+  const replicates =
+    bootstrapIndex === -1 ? 100 : parseInt(args[bootstrapIndex + 1]);
+  const input = args.find(
+    (arg, i) =>
+      !arg.startsWith("--") &&
+      args[i - 1] !== "--seed" &&
+      args[i - 1] !== "--bootstrap"
+  );
+
+  console.log(`Seed: ${rng.seed}`);
+
+  const datasets = [];
+  if (input) {
+    // Fit the histogram printed by a line counter script ("-" reads stdin)
+    const text = fs.readFileSync(input === "-" ? 0 : input, "utf8");
+    datasets.push([
+      input === "-" ? "stdin" : input,
+      parseLineCountHistogram(text),
+    ]);
+  } else {
+    const { generatePowerLawPreferentialFast } = require("./weighted_sampler");
+    const {
+      preferentialAttachmentWithKernel,
+      initialAttractivenessKernel,
+    } = require("./attachment_kernels");
+
+    datasets.push([
+      "generatePowerLawPreferential (alpha=2.5)",
+      generatePowerLawPreferentialFast(2.5, 1, 100000, 0.1, { rng }),
+    ]);
+    datasets.push([
+      "preferentialAttachment (k + 1)",
+      preferentialAttachmentWithKernel(10000, 100000, {
+        kernel: initialAttractivenessKernel(1),
+        rng,
+      }),
+    ]);
+  }
+
+  for (const [label, samples] of datasets) {
+    const fit = fitPowerLaw(samples);
+    fit.pValue = powerLawPValue(samples, fit, { replicates, rng });
+    printPowerLawFit(fit, label);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  fitPowerLaw,
+  canFitPowerLaw,
+  powerLawPValue,
+  samplePowerLaw,
+  printPowerLawFit,
+  parseLineCountHistogram,
+};
@@ -1,36 +1,114 @@
 /**
- * Generates the number of iterations for a sample to exceed a random threshold
- * @param {number} growthRate - Percentage growth rate (e.g., 0.1 for 10% growth)
- * @param {number} initialSample - Starting sample value (default: 0.01)
- * @returns {number} - Number of iterations until sample exceeds random threshold
+ * Preferential attachment library: samplers, simulations and statistics.
+ *
+ * Requiring this module has no side effects. The demonstrations live in
+ * million_iteration_demo.js, power_law_generator.js and iteration_generator.js.
  */
-function generateIterations(growthRate, initialSample = 0.01) {
-  let sample = initialSample;
-  let iterations = 0;
 
-  while (sample <= Math.random()) {
-    sample *= 1 + growthRate;
-    iterations++;
-  }
-
-  return iterations;
-}
+const {
+  createFenwickSampler,
+  createEndpointSampler,
+  preferentialAttachmentFast,
+  generatePowerLawPreferentialFast,
+} = require("./weighted_sampler");
+const {
+  linearKernel,
+  powerKernel,
+  initialAttractivenessKernel,
+  fitnessKernel,
+  uniformFitness,
+  samplePreferentialAttachmentWithKernel,
+  kernelAttachmentStep,
+  preferentialAttachmentWithKernel,
+  generateKernelPreferential,
+} = require("./attachment_kernels");
+const {
+  generateBarabasiAlbert,
+  degreeDistribution,
+  clusteringCoefficient,
+  averagePathLength,
+  degreeAssortativity,
+  graphStatistics,
+} = require("./barabasi_albert");
+const { frequencyToCSV } = require("./exporters");
+const { fitPowerLaw, powerLawPValue } = require("./power_law_fit");
+const { compareDistributions } = require("./distribution_comparison");
+const {
+  observerSchedule,
+  runObserved,
+  createSnapshotCollector,
+} = require("./simulation_observers");
+const {
+  geometricSchedule,
+  createTrajectoryRecorder,
+  arrivalRankCorrelation,
+  growthCurveComparison,
+  leaderStabilization,
+} = require("./trajectories");
+const { runEnsemble } = require("./ensemble");
+const {
+  calculateGini,
+  theilIndex,
+  atkinsonIndex,
+  hooverIndex,
+  herfindahlIndex,
+  palmaRatio,
+  topShare,
+  lorenzCurve,
+  inequalityMetrics,
+  printInequalityMetrics,
+} = require("./inequality_metrics");
+const {
+  generateIterations,
+  iterationDistribution,
+  iterationQuantile,
+  goodnessOfFit,
+} = require("./iteration_distribution");
+const {
+  simulateYuleSimon,
+  yuleSimonDistribution,
+  yuleSimonComparison,
+} = require("./yule_simon");
+const {
+  powerLawAging,
+  exponentialAging,
+  sampleAgingAttachment,
+  generateAgingPreferential,
+} = require("./aging_models");
+const {
+  uniformDeletion,
+  kernelDecrement,
+  preferentialDecrement,
+  antiPreferentialDecrement,
+  createChurnState,
+  churnStep,
+  churnSnapshots,
+  generateChurningPreferential,
+  createChurnReporter,
+} = require("./churn_model");
+const {
+  writeCheckpoint,
+  readCheckpoint,
+  runCheckpointed,
+} = require("./checkpoint");
+const { createStreamingStats, streamingStatsOf } = require("./streaming_stats");
 
 /**
  * Basic preferential attachment sampler - returns one sample index
  * @param {number[]} counts - Current count array
+ * @param {Function} rng - Random number generator returning [0, 1) (default: Math.random)
  * @returns {number} - Selected index
  */
-function samplePreferentialAttachment(counts) {
+function samplePreferentialAttachment(counts, rng = Math.random) {
   const totalSum = counts.reduce((sum, count) => sum + count, 0);
 
   if (totalSum === 0) {
     // If all values are 0, select randomly
-    return Math.floor(Math.random() * counts.length);
+    return Math.floor(rng() * counts.length);
   }
 
   // Use preferential attachment: probability proportional to current value
-  const random = Math.random() * totalSum;
+  const random = rng() * totalSum;
   let cumulativeSum = 0;
 
   for (let j = 0; j < counts.length; j++) {
@@ -45,61 +123,126 @@ function samplePreferentialAttachment(counts) {
 }
 
 /**
- * Run preferential attachment simulation collecting N samples
+ * Preferential attachment simulation as a stream of snapshots: the initial
+ * state, every iteration the interval asks for, and the final state
  * @param {number} arraySize - Size of the array
  * @param {number} iterations - Number of samples to collect
- * @returns {number[]} - Final counts array
+ * @param {Object} options - Optional settings
+ * @param {Function} options.rng - Random number generator (default: Math.random)
+ * @param {number} options.initialWeight - Starting count of every index (default: 0)
+ * @param {Function} options.sampler - (counts, rng) => index (default: samplePreferentialAttachment)
+ * @param {number|Function} options.interval - Iterations between snapshots, or a predicate (default: 100)
+ * @yields {Object} - Snapshot {iteration, counts, done} with a copy of the counts
  */
-function preferentialAttachment(arraySize = 10, iterations = 1000) {
-  // Initialize array with all zeros
-  const counts = new Array(arraySize).fill(0);
+function* preferentialAttachmentSnapshots(
+  arraySize = 10,
+  iterations = 1000,
+  {
+    rng = Math.random,
+    initialWeight = 0,
+    sampler = samplePreferentialAttachment,
+    interval = 100,
+  } = {}
+) {
+  const schedule = observerSchedule([{ interval }]);
 
-  console.log("Initial state:", counts);
+  // Initialize array with the initial weight (all zeros by default)
+  const counts = new Array(arraySize).fill(initialWeight);
+  yield { iteration: 0, counts: counts.slice(), done: iterations === 0 };
 
   // Collect N samples
   for (let i = 0; i < iterations; i++) {
     // Get one sample
-    const selectedIndex = samplePreferentialAttachment(counts);
+    const selectedIndex = sampler(counts, rng);
 
     // Increment the selected index
     counts[selectedIndex]++;
 
-    // Log progress every 100 iterations
-    if ((i + 1) % 100 === 0) {
-      console.log(`After ${i + 1} iterations:`, counts);
+    if (i + 1 === iterations || schedule(i + 1)) {
+      yield {
+        iteration: i + 1,
+        counts: counts.slice(),
+        done: i + 1 === iterations,
+      };
     }
   }
+}
 
-  console.log("\nFinal result:", counts);
-  console.log(
-    "Total iterations:",
-    counts.reduce((sum, count) => sum + count, 0)
-  );
-
-  // Show the distribution as percentages
-  const total = counts.reduce((sum, count) => sum + count, 0);
-  const percentages = counts.map(
-    (count) => ((count / total) * 100).toFixed(1) + "%"
-  );
-  console.log("Distribution:", percentages);
+/**
+ * Observer that prints simulation progress and the final histogram
+ * @param {Object} options - Optional settings
+ * @param {number|Function} options.interval - Iterations between progress lines (default: 100)
+ * @param {string} options.initialLabel - Label for the initial state (default: "Initial state:")
+ * @param {boolean} options.showDistribution - Print totals and percentages (default: true)
+ * @returns {Object} - Observer
+ */
+function consoleObserver({
+  interval = 100,
+  initialLabel = "Initial state:",
+  showDistribution = true,
+} = {}) {
+  return {
+    interval,
+    onStart: ({ counts }) => console.log(initialLabel, counts),
+    onSnapshot: ({ iteration, counts }) =>
+      console.log(`After ${iteration} iterations:`, counts),
+    onComplete: ({ counts }) => {
+      console.log("\nFinal result:", counts);
+
+      if (showDistribution) {
+        console.log(
+          "Total iterations:",
+          counts.reduce((sum, count) => sum + count, 0)
+        );
+
+        // Show the distribution as percentages
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        const percentages = counts.map(
+          (count) => ((count / total) * 100).toFixed(1) + "%"
+        );
+        console.log("Distribution:", percentages);
+      }
+
+      // Sort and display histogram
+      displaySortedHistogram(counts);
+    },
+  };
+}
 
-  // Sort and display histogram
-  displaySortedHistogram(counts);
+/**
+ * Run preferential attachment simulation collecting N samples
+ * @param {number} arraySize - Size of the array
+ * @param {number} iterations - Number of samples to collect
+ * @param {Object} options - Optional settings
+ * @param {Function} options.rng - Random number generator (default: Math.random)
+ * @param {Object[]} options.observers - Progress observers (default: console output every 100 iterations)
+ * @returns {number[]} - Final counts array
+ */
+function preferentialAttachment(
+  arraySize = 10,
+  iterations = 1000,
+  { rng = Math.random, observers = [consoleObserver()] } = {}
+) {
+  const snapshots = preferentialAttachmentSnapshots(arraySize, iterations, {
+    rng,
+    interval: observerSchedule(observers),
+  });
 
-  return counts;
+  return runObserved(snapshots, observers).counts;
 }
 
 /**
  * Basic preferential attachment sampler with initial weights - returns one sample index
  * @param {number[]} counts - Current count array
+ * @param {Function} rng - Random number generator returning [0, 1) (default: Math.random)
  * @returns {number} - Selected index
  */
-function samplePreferentialAttachmentWithWeights(counts) {
+function samplePreferentialAttachmentWithWeights(counts, rng = Math.random) {
   // Calculate probabilities based on current counts
   const totalWeight = counts.reduce((sum, count) => sum + count, 0);
 
   // Select index based on weighted probability
-  const random = Math.random();
+  const random = rng();
   let cumulativeProbability = 0;
 
   for (let j = 0; j < counts.length; j++) {
@@ -118,38 +261,35 @@ function samplePreferentialAttachmentWithWeights(counts) {
  * @param {number} arraySize - Size of the array
  * @param {number} iterations - Number of samples to collect
  * @param {number} initialWeight - Initial weight for each index
+ * @param {Object} options - Optional settings
+ * @param {Function} options.rng - Random number generator (default: Math.random)
+ * @param {Object[]} options.observers - Progress observers (default: console output every 200 iterations)
  * @returns {number[]} - Final counts array
  */
 function preferentialAttachmentWithWeights(
   arraySize = 10,
   iterations = 1000,
-  initialWeight = 1
+  initialWeight = 1,
+  {
+    rng = Math.random,
+    observers = [
+      consoleObserver({
+        interval: 200,
+        initialLabel: "Initial state (with base weights):",
+        showDistribution: false,
+      }),
+    ],
+  } = {}
 ) {
   // Initialize array with small initial weights to avoid division by zero
-  const counts = new Array(arraySize).fill(initialWeight);
-
-  console.log("Initial state (with base weights):", counts);
-
-  // Collect N samples
-  for (let i = 0; i < iterations; i++) {
-    // Get one sample
-    const selectedIndex = samplePreferentialAttachmentWithWeights(counts);
-
-    // Increment the selected index
-    counts[selectedIndex]++;
-
-    // Log progress every 200 iterations
-    if ((i + 1) % 200 === 0) {
-      console.log(`After ${i + 1} iterations:`, counts);
-    }
-  }
-
-  console.log("\nFinal result:", counts);
-
-  // Sort and display histogram
-  displaySortedHistogram(counts);
+  const snapshots = preferentialAttachmentSnapshots(arraySize, iterations, {
+    rng,
+    initialWeight,
+    sampler: samplePreferentialAttachmentWithWeights,
+    interval: observerSchedule(observers),
+  });
 
-  return counts;
+  return runObserved(snapshots, observers).counts;
 }
 
 /**
@@ -230,33 +370,20 @@ function displaySortedHistogram(counts) {
       3
     )} (0 = perfect equality, 1 = maximum inequality)`
   );
+  printInequalityMetrics(inequalityMetrics(counts));
 }
 
-/**
- * Calculate Gini coefficient to measure inequality in the distribution
- */
-function calculateGini(values) {
-  const n = values.length;
-  const sortedValues = [...values].sort((a, b) => a - b);
-  const sum = sortedValues.reduce((acc, val) => acc + val, 0);
-
-  if (sum === 0) return 0;
-
-  let numerator = 0;
-  for (let i = 0; i < n; i++) {
-    numerator += (2 * (i + 1) - n - 1) * sortedValues[i];
-  }
-
-  return numerator / (n * sum);
-}
-
-// Run the demonstration
 /**
  * Demonstrate the generateIterations function
  * @param {number} numSamples - Number of samples to generate
  * @param {number} growthRate - Growth rate for the sample
+ * @param {Function} rng - Random number generator (default: Math.random)
  */
-function demonstrateIterationGeneration(numSamples = 1000, growthRate = 0.1) {
+function demonstrateIterationGeneration(
+  numSamples = 1000,
+  growthRate = 0.1,
+  rng = Math.random
+) {
   console.log(`=== Iteration Generation Demo ===`);
   console.log(`Growth rate: ${(growthRate * 100).toFixed(1)}%`);
   console.log(`Initial sample: 0.01`);
@@ -264,7 +391,7 @@ function demonstrateIterationGeneration(numSamples = 1000, growthRate = 0.1) {
 
   const iterations = [];
   for (let i = 0; i < numSamples; i++) {
-    iterations.push(generateIterations(growthRate));
+    iterations.push(generateIterations(growthRate, 0.01, rng));
   }
 
   // Create frequency distribution
@@ -290,98 +417,372 @@ function demonstrateIterationGeneration(numSamples = 1000, growthRate = 0.1) {
   return iterations;
 }
 
-console.log("=== Million Iteration Generation Test ===\n");
+/**
+ * Performs one step of preferential attachment with weight value^(1/(alpha-1))
+ * With alpha = 2 the weights are linear and the process is close to Simon's
+ * model, except that a step can both attach and add an element; see
+ * yule_simon.js for the exact model and its Yule–Simon distribution.
+ * @param {number[]} values - Current array of values
+ * @param {number} alpha - Power law exponent
+ * @param {number} newElementProbability - Probability of adding new element (default: 0.1)
+ * @param {Function} rng - Random number generator returning [0, 1) (default: Math.random)
+ * @returns {number[]} - Updated values array
+ */
+function preferentialAttachmentStep(
+  values,
+  alpha,
+  newElementProbability = 0.1,
+  rng = Math.random
+) {
+  return kernelAttachmentStep(
+    values,
+    powerKernel(1 / (alpha - 1)),
+    newElementProbability,
+    rng
+  );
+}
+
+/**
+ * Power law growth as a stream of snapshots: the initial population, every
+ * step the interval asks for, and the final distribution
+ * @param {number} alpha - Power law exponent
+ * @param {number} xMin - Minimum value (default: 1)
+ * @param {number} steps - Number of growth steps (default: 1000)
+ * @param {number} newElementProbability - Probability of adding new element (default: 0.1)
+ * @param {Object} options - Optional settings
+ * @param {Function} options.rng - Random number generator (default: Math.random)
+ * @param {Function} options.kernel - Attachment kernel replacing value^(1/(alpha-1))
+ * @param {number|Function} options.interval - Steps between snapshots, or a predicate (default: none)
+ * @yields {Object} - Snapshot {iteration, counts, arrivals, done} with copies of the
+ *   values and of the step at which each element was added (0 for the initial population)
+ */
+function* powerLawPreferentialSnapshots(
+  alpha,
+  xMin = 1,
+  steps = 1000,
+  newElementProbability = 0.1,
+  {
+    rng = Math.random,
+    kernel = powerKernel(1 / (alpha - 1)),
+    interval = 0,
+  } = {}
+) {
+  const schedule = observerSchedule([{ interval }]);
+
+  // Create initial population
+  let values = Array(Math.floor(xMin)).fill(1);
+  const arrivals = values.map(() => 0);
+  yield {
+    iteration: 0,
+    counts: values.slice(),
+    arrivals: arrivals.slice(),
+    done: steps === 0,
+  };
 
-console.log(
-  "Running generateIterations 1,000,000 times with 10% growth rate..."
-);
-const startTime = Date.now();
-const results = [];
+  // Growth process
+  for (let step = 0; step < steps; step++) {
+    values = kernelAttachmentStep(values, kernel, newElementProbability, rng);
+    while (arrivals.length < values.length) arrivals.push(step + 1);
+
+    if (step + 1 === steps || schedule(step + 1)) {
+      yield {
+        iteration: step + 1,
+        counts: values.slice(),
+        arrivals: arrivals.slice(),
+        done: step + 1 === steps,
+      };
+    }
+  }
+}
 
-for (let i = 0; i < 1000000; i++) {
-  results.push(generateIterations(0.1)); // 10% growth rate
+/**
+ * Generates a complete power law distribution using preferential attachment
+ * @param {number} alpha - Power law exponent
+ * @param {number} xMin - Minimum value (default: 1)
+ * @param {number} steps - Number of growth steps (default: 1000)
+ * @param {number} newElementProbability - Probability of adding new element (default: 0.1)
+ * @param {Object} options - Optional settings
+ * @param {Function} options.rng - Random number generator (default: Math.random)
+ * @param {Function} options.kernel - Attachment kernel replacing value^(1/(alpha-1))
+ * @param {Object[]} options.observers - Progress observers (default: none)
+ * @returns {number[]} - Complete array of values from the power law distribution
+ */
+function generatePowerLawPreferential(
+  alpha,
+  xMin = 1,
+  steps = 1000,
+  newElementProbability = 0.1,
+  {
+    rng = Math.random,
+    kernel = powerKernel(1 / (alpha - 1)),
+    observers = [],
+  } = {}
+) {
+  const snapshots = powerLawPreferentialSnapshots(
+    alpha,
+    xMin,
+    steps,
+    newElementProbability,
+    { rng, kernel, interval: observerSchedule(observers) }
+  );
+
+  // Return the complete distribution
+  return runObserved(snapshots, observers).counts;
 }
 
-const endTime = Date.now();
-console.log(`Completed in ${endTime - startTime}ms\n`);
+/**
+ * Print the average and a value-ordered histogram of a sample set
+ * @param {number[]|Object} results - Sample values, or a streaming accumulator
+ *   from createStreamingStats so the samples never have to be stored
+ * @param {string} label - Label printed with the average
+ */
+function printHistogram(results, label) {
+  // Only the mean and the histogram are printed, so no quantiles are tracked
+  const stats = Array.isArray(results)
+    ? streamingStatsOf(results, { quantiles: [] })
+    : results;
+  const total = stats.count();
+
+  console.log(`\n${label}: ${stats.mean().toFixed(6)}`);
+
+  // The accumulator only keeps a histogram of integers; count other samples
+  // directly when they are at hand
+  let sortedFreqs = stats.sortedHistogram();
+  if (!sortedFreqs && Array.isArray(results)) {
+    const frequencyMap = new Map();
+    results.forEach((value) => {
+      frequencyMap.set(value, (frequencyMap.get(value) || 0) + 1);
+    });
+    sortedFreqs = Array.from(frequencyMap.entries()).sort(
+      (a, b) => a[0] - b[0]
+    );
+  }
+  if (!sortedFreqs) {
+    console.log("Histogram: not kept for non-integer samples");
+    return;
+  }
+
+  console.log("Histogram:");
+  for (const [iterations, count] of sortedFreqs) {
+    const percentage = ((count / total) * 100).toFixed(3);
+    const bar = "█".repeat(
+      Math.max(1, Math.floor(count / Math.max(1, total / 50)))
+    );
+    console.log(`${iterations}: ${count} (${percentage}%) ${bar}`);
+  }
+}
 
-// Create frequency distribution
-let maxIterations = 0;
-const frequencyMap = new Map();
+/**
+ * Print average, minimum, maximum and range of a sample set
+ * @param {number[]} samples - Sample values
+ * @param {string} label - Heading for the printed block
+ */
+function getStats(samples, label) {
+  const sum = samples.reduce((a, b) => a + b, 0);
+  const avg = sum / samples.length;
+  // A loop rather than Math.max(...samples), which overflows the stack on
+  // large sample sets
+  let max = -Infinity;
+  let min = Infinity;
+  for (const x of samples) {
+    if (x > max) max = x;
+    if (x < min) min = x;
+  }
 
-results.forEach((iter) => {
-  maxIterations = Math.max(maxIterations, iter);
-  frequencyMap.set(iter, (frequencyMap.get(iter) || 0) + 1);
-});
+  console.log(`\n${label}:`);
+  console.log(`  Average: ${avg.toFixed(3)}`);
+  console.log(`  Min: ${min}, Max: ${max}`);
+  console.log(`  Range: ${max - min}`);
+}
 
-console.log("Distribution of iteration counts:");
-const maxFreq = Math.max(...frequencyMap.values());
-const maxBarLength = 50;
+/**
+ * Print the most frequent values in a sample set
+ * @param {number[]} samples - Sample values
+ * @param {string} label - Heading for the printed block
+ * @param {number} maxShow - Number of values to show (default: 20)
+ */
+function showFrequency(samples, label, maxShow = 20) {
+  const freq = new Map();
+  samples.forEach((val) => {
+    freq.set(val, (freq.get(val) || 0) + 1);
+  });
 
-// Sort and display frequency data
-const sortedFrequencies = Array.from(frequencyMap.entries()).sort(
-  (a, b) => a[0] - b[0]
-);
+  const sorted = Array.from(freq.entries()).sort((a, b) => b[1] - a[1]);
 
-for (const [iterations, count] of sortedFrequencies) {
-  const barLength = Math.max(1, Math.floor((count / maxFreq) * maxBarLength));
-  const bar = "█".repeat(barLength);
-  const percentage = ((count / 1000000) * 100).toFixed(2);
-  console.log(
-    `${iterations} iterations: ${count.toLocaleString()} samples (${percentage}%) ${bar}`
-  );
+  console.log(`\n${label} - Top ${maxShow} frequencies:`);
+  for (let i = 0; i < Math.min(maxShow, sorted.length); i++) {
+    const [value, count] = sorted[i];
+    const pct = ((count / samples.length) * 100).toFixed(1);
+    console.log(`  ${value}: ${count} (${pct}%)`);
+  }
+}
+
+/**
+ * Print an ASCII histogram of a sample set ordered by value
+ * @param {number[]} samples - Sample values
+ * @param {string} title - Heading for the printed block
+ * @param {number} maxBars - Number of distinct values to show (default: 50)
+ */
+function createHistogramGraph(samples, title, maxBars = 50) {
+  console.log(`\n=== ${title} Histogram ===`);
+
+  // Create frequency map
+  const freq = new Map();
+  samples.forEach((val) => {
+    freq.set(val, (freq.get(val) || 0) + 1);
+  });
+
+  // Sort by value
+  const sorted = Array.from(freq.entries()).sort((a, b) => a[0] - b[0]);
+
+  // Find max frequency for scaling
+  const maxFreq = Math.max(...freq.values());
+  const maxBarLength = 60;
+
+  // Show histogram
+  for (const [value, count] of sorted.slice(0, maxBars)) {
+    const barLength = Math.floor((count / maxFreq) * maxBarLength);
+    const bar = "█".repeat(Math.max(1, barLength));
+    const pct = ((count / samples.length) * 100).toFixed(1);
+    console.log(`${value.toString().padStart(3)}: ${bar} ${count} (${pct}%)`);
+  }
+
+  if (sorted.length > maxBars) {
+    console.log(
+      `... (showing first ${maxBars} of ${sorted.length} unique values)`
+    );
+  }
 }
 
-// Statistics
-const avg = results.reduce((sum, iter) => sum + iter, 0) / results.length;
-
-// Find min without spread operator
-let minIterations = Infinity;
-results.forEach((iter) => {
-  if (iter < minIterations) minIterations = iter;
-});
-
-// Calculate median and percentiles efficiently
-results.sort((a, b) => a - b);
-const median = results[Math.floor(results.length / 2)];
-
-console.log("\n=== STATISTICS ===");
-console.log(`Total samples: ${results.length.toLocaleString()}`);
-console.log(`Average iterations: ${avg.toFixed(3)}`);
-console.log(`Median iterations: ${median}`);
-console.log(`Maximum iterations: ${maxIterations}`);
-console.log(`Minimum iterations: ${minIterations}`);
-console.log(
-  `Standard deviation: ${Math.sqrt(
-    results.reduce((sum, x) => sum + Math.pow(x - avg, 2), 0) / results.length
-  ).toFixed(3)}`
-);
-
-// Show percentiles (results is already sorted)
-const p25 = results[Math.floor(results.length * 0.25)];
-const p75 = results[Math.floor(results.length * 0.75)];
-const p90 = results[Math.floor(results.length * 0.9)];
-const p95 = results[Math.floor(results.length * 0.95)];
-const p99 = results[Math.floor(results.length * 0.99)];
-
-console.log("\n=== PERCENTILES ===");
-console.log(`25th percentile: ${p25} iterations`);
-console.log(`50th percentile (median): ${median} iterations`);
-console.log(`75th percentile: ${p75} iterations`);
-console.log(`90th percentile: ${p90} iterations`);
-console.log(`95th percentile: ${p95} iterations`);
-console.log(`99th percentile: ${p99} iterations`);
+/**
+ * Create log-log plot data for power law analysis
+ * @param {number[]} samples - Sample values
+ * @param {string} title - Heading for the printed block
+ * @returns {Object[]} - Value, count and their base-10 logarithms, sorted by value
+ */
+function analyzeLogLog(samples, title) {
+  console.log(`\n=== ${title} Log-Log Analysis ===`);
+
+  // Create frequency map
+  const freq = new Map();
+  samples.forEach((val) => {
+    freq.set(val, (freq.get(val) || 0) + 1);
+  });
+
+  // Convert to log-log data
+  const logData = Array.from(freq.entries())
+    .filter(([value, count]) => value > 0 && count > 0)
+    .map(([value, count]) => ({
+      value,
+      count,
+      logValue: Math.log10(value),
+      logCount: Math.log10(count),
+    }))
+    .sort((a, b) => a.value - b.value);
+
+  console.log("Value\tCount\tlog(Value)\tlog(Count)");
+  logData.slice(0, 20).forEach(({ value, count, logValue, logCount }) => {
+    console.log(
+      `${value}\t${count}\t${logValue.toFixed(3)}\t\t${logCount.toFixed(3)}`
+    );
+  });
+
+  return logData;
+}
+
+/**
+ * Print value/frequency/percentage CSV rows for external plotting.
+ * Use exportDistribution in exporters.js to write them to a file instead.
+ * @param {number[]} samples - Sample values
+ * @param {string} filename - Label printed above the rows
+ */
+function generateCSV(samples, filename) {
+  console.log(`\n=== ${filename} CSV Data ===`);
+  console.log(frequencyToCSV(samples).trimEnd());
+}
 
 // Export for use in other modules
 if (typeof module !== "undefined" && module.exports) {
   module.exports = {
     generateIterations,
     demonstrateIterationGeneration,
+    iterationDistribution,
+    iterationQuantile,
+    goodnessOfFit,
+    simulateYuleSimon,
+    yuleSimonDistribution,
+    yuleSimonComparison,
+    powerLawAging,
+    exponentialAging,
+    sampleAgingAttachment,
+    generateAgingPreferential,
+    uniformDeletion,
+    kernelDecrement,
+    preferentialDecrement,
+    antiPreferentialDecrement,
+    createChurnState,
+    churnStep,
+    churnSnapshots,
+    generateChurningPreferential,
+    createChurnReporter,
+    writeCheckpoint,
+    readCheckpoint,
+    runCheckpointed,
+    createStreamingStats,
+    streamingStatsOf,
     samplePreferentialAttachment,
     samplePreferentialAttachmentWithWeights,
     preferentialAttachment,
     preferentialAttachmentWithWeights,
+    preferentialAttachmentSnapshots,
+    powerLawPreferentialSnapshots,
+    consoleObserver,
+    createSnapshotCollector,
+    geometricSchedule,
+    createTrajectoryRecorder,
+    arrivalRankCorrelation,
+    growthCurveComparison,
+    leaderStabilization,
+    runEnsemble,
+    preferentialAttachmentStep,
+    generatePowerLawPreferential,
+    createFenwickSampler,
+    createEndpointSampler,
+    preferentialAttachmentFast,
+    generatePowerLawPreferentialFast,
+    linearKernel,
+    powerKernel,
+    initialAttractivenessKernel,
+    fitnessKernel,
+    uniformFitness,
+    samplePreferentialAttachmentWithKernel,
+    kernelAttachmentStep,
+    preferentialAttachmentWithKernel,
+    generateKernelPreferential,
+    generateBarabasiAlbert,
+    degreeDistribution,
+    clusteringCoefficient,
+    averagePathLength,
+    degreeAssortativity,
+    graphStatistics,
+    fitPowerLaw,
+    powerLawPValue,
+    compareDistributions,
     displaySortedHistogram,
     calculateGini,
+    theilIndex,
+    atkinsonIndex,
+    hooverIndex,
+    herfindahlIndex,
+    palmaRatio,
+    topShare,
+    lorenzCurve,
+    inequalityMetrics,
+    printHistogram,
+    getStats,
+    showFrequency,
+    createHistogramGraph,
+    analyzeLogLog,
+    generateCSV,
   };
 }
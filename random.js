@@ -0,0 +1,154 @@
+/**
+ * Seedable pseudo-random number generator (xoshiro128**) used by every sampler.
+ *
+ * A generator is a plain function returning a float in [0, 1), so it can be
+ * passed anywhere Math.random is accepted. Its state can be exported and
+ * restored to replay a run exactly.
+ */
+
+const ALGORITHM = "xoshiro128**";
+
+function rotl(x, k) {
+  return (x << k) | (x >>> (32 - k));
+}
+
+/**
+ * Expands a 32-bit seed into four state words with splitmix32
+ * @param {number} seed - Unsigned 32-bit seed
+ * @returns {number[]} - Initial xoshiro128** state
+ */
+function seedState(seed) {
+  let x = seed >>> 0;
+  const state = [];
+  for (let i = 0; i < 4; i++) {
+    x = (x + 0x9e3779b9) | 0;
+    let z = x;
+    z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+    z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+    state.push((z ^ (z >>> 16)) >>> 0);
+  }
+  return state;
+}
+
+/**
+ * Picks a fresh seed when the caller does not supply one
+ * @returns {number} - Unsigned 32-bit seed
+ */
+function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Derives an independent seed for one stream (e.g. one replicate of an
+ * ensemble) from a master seed, so replicates neither share nor overlap
+ * @param {number} seed - Master seed
+ * @param {number} stream - Stream index
+ * @returns {number} - Unsigned 32-bit seed
+ */
+function deriveSeed(seed, stream) {
+  let z =
+    (Math.imul(seed >>> 0, 0x9e3779b9) ^ Math.imul(stream + 1, 0x85ebca6b)) | 0;
+  z = Math.imul(z ^ (z >>> 16), 0x7feb352d);
+  z = Math.imul(z ^ (z >>> 15), 0x846ca68b);
+  return (z ^ (z >>> 16)) >>> 0;
+}
+
+/**
+ * Creates a seeded random number generator
+ * @param {number} seed - Unsigned 32-bit integer seed (default: random)
+ * @returns {Function} - Generator returning floats in [0, 1), with getState/setState
+ */
+function createRng(seed = randomSeed()) {
+  if (!Number.isInteger(seed) || seed < 0 || seed > 0xffffffff) {
+    throw new RangeError(
+      `Seed must be an integer between 0 and 4294967295, got ${seed}`
+    );
+  }
+
+  let [s0, s1, s2, s3] = seedState(seed);
+
+  function nextUint32() {
+    const result = Math.imul(rotl(Math.imul(s1, 5), 7), 9) >>> 0;
+    const t = s1 << 9;
+
+    s2 ^= s0;
+    s3 ^= s1;
+    s1 ^= s2;
+    s0 ^= s3;
+    s2 ^= t;
+    s3 = rotl(s3, 11);
+
+    return result;
+  }
+
+  // Combine two outputs into a double with 53 random bits
+  function rng() {
+    const high = nextUint32() >>> 5;
+    const low = nextUint32() >>> 6;
+    return (high * 67108864 + low) / 9007199254740992;
+  }
+
+  rng.seed = seed;
+  rng.nextUint32 = nextUint32;
+
+  rng.getState = () => ({
+    algorithm: ALGORITHM,
+    seed,
+    state: [s0 >>> 0, s1 >>> 0, s2 >>> 0, s3 >>> 0],
+  });
+
+  rng.setState = (snapshot) => {
+    if (!snapshot || snapshot.algorithm !== ALGORITHM) {
+      throw new Error(`Expected a ${ALGORITHM} state snapshot`);
+    }
+    if (snapshot.state.every((word) => word === 0)) {
+      throw new Error("The all-zero state is not valid for xoshiro128**");
+    }
+    [s0, s1, s2, s3] = snapshot.state.map((word) => word | 0);
+    return rng;
+  };
+
+  return rng;
+}
+
+/**
+ * Recreates a generator from a snapshot produced by rng.getState()
+ * @param {Object} snapshot - Exported generator state
+ * @returns {Function} - Generator that continues exactly where the snapshot left off
+ */
+function restoreRng(snapshot) {
+  return createRng(snapshot.seed).setState(snapshot);
+}
+
+/**
+ * Builds a generator from a "--seed <n>" or "--seed=<n>" command line flag
+ * @param {string[]} argv - Command line arguments (default: process.argv)
+ * @returns {Function} - Seeded generator (randomly seeded when no flag is given)
+ */
+function rngFromArgs(argv = process.argv) {
+  for (let i = 0; i < argv.length; i++) {
+    let value;
+    if (argv[i] === "--seed") {
+      value = argv[i + 1];
+    } else if (argv[i].startsWith("--seed=")) {
+      value = argv[i].slice("--seed=".length);
+    } else {
+      continue;
+    }
+
+    if (!/^\d+$/.test(value || "")) {
+      throw new RangeError(`Invalid --seed value: ${value}`);
+    }
+    return createRng(Number(value));
+  }
+
+  return createRng();
+}
+
+module.exports = {
+  createRng,
+  restoreRng,
+  rngFromArgs,
+  randomSeed,
+  deriveSeed,
+};
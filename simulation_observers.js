@@ -0,0 +1,93 @@
+/**
+ * Observer support for simulations.
+ *
+ * Simulations are written as generators of snapshots { iteration, counts, done }:
+ * the initial state (iteration 0), every iteration the schedule asks for, and
+ * the final state (done: true). Callers can consume them directly with
+ * for...of (or for await...of), or hand them to observers with runObserved.
+ *
+ * An observer is an object with any of these optional members:
+ * - interval: number of iterations between snapshots, or a predicate
+ *   (iteration) => boolean (default: never, only start and completion)
+ * - onStart(snapshot): called with the initial state
+ * - onSnapshot(snapshot): called whenever the interval is due
+ * - onComplete(snapshot): called with the final state
+ */
+
+/**
+ * Whether an interval asks for a snapshot at the given iteration
+ * @param {number|Function} interval - Iteration count or predicate
+ * @param {number} iteration - Iterations completed so far
+ * @returns {boolean} - True when a snapshot is due
+ */
+function isDue(interval, iteration) {
+  if (typeof interval === "function") return interval(iteration);
+  return interval > 0 && iteration % interval === 0;
+}
+
+/**
+ * Combines the intervals of several observers into one schedule
+ * @param {Object[]} observers - Observers with optional interval
+ * @returns {Function} - (iteration) => true when any observer is due
+ */
+function observerSchedule(observers) {
+  return (iteration) =>
+    observers.some((observer) => isDue(observer.interval, iteration));
+}
+
+/**
+ * Drives a snapshot generator and dispatches every snapshot to the
+ * observers whose interval is due
+ * @param {Iterable<Object>} snapshots - Snapshot generator of a simulation
+ * @param {Object[]} observers - Observers to notify
+ * @returns {Object} - The final snapshot
+ */
+function runObserved(snapshots, observers) {
+  let last = null;
+
+  for (const snapshot of snapshots) {
+    if (snapshot.iteration === 0) {
+      observers.forEach((observer) => observer.onStart?.(snapshot));
+    } else {
+      observers.forEach((observer) => {
+        if (isDue(observer.interval, snapshot.iteration)) {
+          observer.onSnapshot?.(snapshot);
+        }
+      });
+    }
+
+    if (snapshot.done) {
+      observers.forEach((observer) => observer.onComplete?.(snapshot));
+    }
+    last = snapshot;
+  }
+
+  return last;
+}
+
+/**
+ * Observer that keeps every snapshot it receives, plus the initial and final
+ * states, for tests and file writers
+ * @param {number|Function} interval - Iterations between snapshots
+ * @returns {Object} - Observer with a snapshots array
+ */
+function createSnapshotCollector(interval) {
+  const snapshots = [];
+  const collect = (snapshot) => {
+    if (snapshots[snapshots.length - 1] !== snapshot) snapshots.push(snapshot);
+  };
+  return {
+    interval,
+    snapshots,
+    onStart: collect,
+    onSnapshot: collect,
+    onComplete: collect,
+  };
+}
+
+module.exports = {
+  isDue,
+  observerSchedule,
+  runObserved,
+  createSnapshotCollector,
+};
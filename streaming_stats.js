@@ -0,0 +1,245 @@
+/**
+ * Constant-memory statistics for sample runs too large to keep in an array.
+ *
+ * The accumulator takes one sample at a time and keeps Welford's running
+ * mean and variance, min and max, an exact histogram of integer samples and
+ * P² (Jain & Chlamtac 1985) estimates of chosen quantiles. Memory depends
+ * on the number of distinct values and quantiles, never on the sample count.
+ */
+
+/**
+ * P² estimator of a single quantile from five markers
+ * @param {number} p - Quantile in (0, 1)
+ * @returns {Object} - { add(x), value(), getState(), setState(state) }
+ */
+function createP2Quantile(p) {
+  const heights = [];
+  const positions = [1, 2, 3, 4, 5];
+  const desired = [1, 1 + 2 * p, 1 + 4 * p, 3 + 2 * p, 5];
+  const increments = [0, p / 2, p, (1 + p) / 2, 1];
+
+  function parabolic(i, d) {
+    const [nPrev, n, nNext] = [
+      positions[i - 1],
+      positions[i],
+      positions[i + 1],
+    ];
+    return (
+      heights[i] +
+      (d / (nNext - nPrev)) *
+        ((n - nPrev + d) * ((heights[i + 1] - heights[i]) / (nNext - n)) +
+          (nNext - n - d) * ((heights[i] - heights[i - 1]) / (n - nPrev)))
+    );
+  }
+
+  function linear(i, d) {
+    return (
+      heights[i] +
+      (d * (heights[i + d] - heights[i])) / (positions[i + d] - positions[i])
+    );
+  }
+
+  function add(x) {
+    if (heights.length < 5) {
+      heights.push(x);
+      heights.sort((a, b) => a - b);
+      return;
+    }
+
+    let cell;
+    if (x < heights[0]) {
+      heights[0] = x;
+      cell = 0;
+    } else if (x >= heights[4]) {
+      heights[4] = Math.max(heights[4], x);
+      cell = 3;
+    } else {
+      cell = 0;
+      while (x >= heights[cell + 1]) cell++;
+    }
+
+    for (let i = cell + 1; i < 5; i++) positions[i]++;
+    for (let i = 0; i < 5; i++) desired[i] += increments[i];
+
+    // Move the three middle markers towards their desired positions
+    for (let i = 1; i <= 3; i++) {
+      const offset = desired[i] - positions[i];
+      if (
+        (offset >= 1 && positions[i + 1] - positions[i] > 1) ||
+        (offset <= -1 && positions[i - 1] - positions[i] < -1)
+      ) {
+        const d = Math.sign(offset);
+        let height = parabolic(i, d);
+        if (!(heights[i - 1] < height && height < heights[i + 1])) {
+          height = linear(i, d);
+        }
+        heights[i] = height;
+        positions[i] += d;
+      }
+    }
+  }
+
+  function value() {
+    if (heights.length === 0) return NaN;
+    if (heights.length < 5) {
+      return heights[
+        Math.min(heights.length - 1, Math.floor(p * heights.length))
+      ];
+    }
+    return heights[2];
+  }
+
+  function getState() {
+    return {
+      heights: heights.slice(),
+      positions: positions.slice(),
+      desired: desired.slice(),
+    };
+  }
+
+  function setState(state) {
+    heights.splice(0, heights.length, ...state.heights);
+    positions.splice(0, 5, ...state.positions);
+    desired.splice(0, 5, ...state.desired);
+  }
+
+  return { add, value, getState, setState };
+}
+
+/**
+ * Creates a streaming accumulator
+ * @param {Object} options - Optional settings
+ * @param {number[]} options.quantiles - Quantiles to estimate with P² (default: [0.25, 0.5, 0.75, 0.9, 0.95, 0.99])
+ * @returns {Object} - Accumulator with add(x), read-only summaries and
+ *   getState/setState for checkpoints
+ */
+function createStreamingStats({
+  quantiles = [0.25, 0.5, 0.75, 0.9, 0.95, 0.99],
+} = {}) {
+  let count = 0;
+  let mean = 0;
+  let m2 = 0;
+  let min = Infinity;
+  let max = -Infinity;
+  // Exact counts per value while every sample is an integer
+  let histogram = new Map();
+  const estimators = new Map(quantiles.map((q) => [q, createP2Quantile(q)]));
+
+  function add(x) {
+    count++;
+    const delta = x - mean;
+    mean += delta / count;
+    m2 += delta * (x - mean);
+    if (x < min) min = x;
+    if (x > max) max = x;
+
+    if (histogram) {
+      if (Number.isInteger(x)) {
+        histogram.set(x, (histogram.get(x) || 0) + 1);
+      } else {
+        histogram = null;
+      }
+    }
+    estimators.forEach((estimator) => estimator.add(x));
+    return stats;
+  }
+
+  /**
+   * Quantile q: exact from the histogram (the value at sorted index
+   * floor(q * count)), otherwise the P² estimate of a tracked quantile
+   */
+  function quantile(q) {
+    if (count === 0) return NaN;
+    if (histogram) {
+      const target = Math.min(count - 1, Math.floor(q * count));
+      let seen = 0;
+      for (const [value, frequency] of sortedHistogram()) {
+        seen += frequency;
+        if (seen > target) return value;
+      }
+    }
+    const estimator = estimators.get(q);
+    if (!estimator) {
+      throw new RangeError(
+        `Quantile ${q} was not tracked (tracked: ${quantiles.join(", ")})`
+      );
+    }
+    return estimator.value();
+  }
+
+  function sortedHistogram() {
+    return histogram
+      ? Array.from(histogram.entries()).sort((a, b) => a[0] - b[0])
+      : null;
+  }
+
+  // Infinite min and max of an empty accumulator are saved as null, since
+  // JSON has no Infinity
+  function getState() {
+    return {
+      quantiles,
+      count,
+      mean,
+      m2,
+      min: count > 0 ? min : null,
+      max: count > 0 ? max : null,
+      histogram: histogram ? Array.from(histogram.entries()) : null,
+      estimators: Array.from(estimators.values()).map((estimator) =>
+        estimator.getState()
+      ),
+    };
+  }
+
+  function setState(state) {
+    if (JSON.stringify(state.quantiles) !== JSON.stringify(quantiles)) {
+      throw new Error(
+        `Saved statistics track quantiles ${state.quantiles.join(
+          ", "
+        )}, not ${quantiles.join(", ")}`
+      );
+    }
+    ({ count, mean, m2 } = state);
+    min = count > 0 ? state.min : Infinity;
+    max = count > 0 ? state.max : -Infinity;
+    histogram = state.histogram ? new Map(state.histogram) : null;
+    Array.from(estimators.values()).forEach((estimator, i) =>
+      estimator.setState(state.estimators[i])
+    );
+    return stats;
+  }
+
+  const stats = {
+    add,
+    count: () => count,
+    mean: () => (count > 0 ? mean : NaN),
+    variance: () => (count > 0 ? m2 / count : NaN),
+    sampleVariance: () => (count > 1 ? m2 / (count - 1) : NaN),
+    sd: () => (count > 0 ? Math.sqrt(m2 / count) : NaN),
+    min: () => min,
+    max: () => max,
+    quantile,
+    histogram: () => histogram,
+    sortedHistogram,
+    getState,
+    setState,
+  };
+  return stats;
+}
+
+/**
+ * Accumulates an existing array of samples
+ * @param {number[]} samples - Sample values
+ * @param {Object} options - Passed to createStreamingStats
+ * @returns {Object} - Filled accumulator
+ */
+function streamingStatsOf(samples, options) {
+  const stats = createStreamingStats(options);
+  for (const x of samples) stats.add(x);
+  return stats;
+}
+
+module.exports = {
+  createP2Quantile,
+  createStreamingStats,
+  streamingStatsOf,
+};
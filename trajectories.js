@@ -0,0 +1,334 @@
+/**
+ * Per-element trajectory recording and first-mover advantage analysis.
+ *
+ * The recorder is a simulation observer. It samples counts on a geometric
+ * time grid (dense early, sparse late) and stores, for each element, only
+ * the grid points at which its count changed, so memory grows with
+ * elements × log(steps) rather than elements × steps.
+ */
+
+const { rngFromArgs } = require("./random");
+
+/**
+ * Geometric sampling schedule: iterations 1, 2, ... growing by a constant
+ * ratio. The predicate is pure, so it can be asked about the same iteration
+ * more than once.
+ * @param {number} ratio - Growth factor between grid points (default: 1.1)
+ * @returns {Function} - (iteration) => true on grid points
+ */
+function geometricSchedule(ratio = 1.1) {
+  const points = new Set([1]);
+  let last = 1;
+
+  return (iteration) => {
+    while (last < iteration) {
+      last = Math.max(last + 1, Math.ceil(last * ratio));
+      points.add(last);
+    }
+    return points.has(iteration);
+  };
+}
+
+/**
+ * Creates an observer that records every element's count over time
+ * @param {Object} options - Optional settings
+ * @param {number|Function} options.interval - Sampling schedule (default: geometricSchedule(1.1))
+ * @returns {Object} - Observer with a trajectories() accessor
+ */
+function createTrajectoryRecorder({ interval = geometricSchedule(1.1) } = {}) {
+  const times = [];
+  const elements = [];
+
+  function record({ iteration, counts, arrivals }) {
+    if (times[times.length - 1] === iteration) return;
+    times.push(iteration);
+
+    counts.forEach((count, index) => {
+      if (!elements[index]) {
+        elements[index] = {
+          index,
+          arrival: arrivals ? arrivals[index] : iteration,
+          times: [],
+          counts: [],
+        };
+      }
+
+      const element = elements[index];
+      if (element.counts[element.counts.length - 1] !== count) {
+        element.times.push(iteration);
+        element.counts.push(count);
+      }
+    });
+  }
+
+  return {
+    interval,
+    onStart: record,
+    onSnapshot: record,
+    onComplete: record,
+    trajectories: () => ({ times, elements }),
+  };
+}
+
+/**
+ * Count of an element at a given time, from its change points
+ * @param {Object} element - Element trajectory
+ * @param {number} time - Iteration
+ * @returns {number} - Count at that time (0 before the first change point)
+ */
+function countAt(element, time) {
+  let low = 0;
+  let high = element.times.length - 1;
+  let result = 0;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (element.times[mid] <= time) {
+      result = element.counts[mid];
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return result;
+}
+
+function finalCount(element) {
+  return element.counts[element.counts.length - 1] || 0;
+}
+
+/**
+ * Ranks with ties sharing their average rank
+ * @param {number[]} values - Values to rank (ascending)
+ * @returns {number[]} - Rank of each value, starting at 1
+ */
+function averageRanks(values) {
+  const order = values.map((_, i) => i).sort((a, b) => values[a] - values[b]);
+  const ranks = new Array(values.length);
+
+  for (let i = 0; i < order.length; ) {
+    let j = i;
+    while (j + 1 < order.length && values[order[j + 1]] === values[order[i]]) {
+      j++;
+    }
+    for (let k = i; k <= j; k++) ranks[order[k]] = (i + j) / 2 + 1;
+    i = j + 1;
+  }
+
+  return ranks;
+}
+
+function pearson(xs, ys) {
+  const n = xs.length;
+  const meanX = xs.reduce((a, b) => a + b, 0) / n;
+  const meanY = ys.reduce((a, b) => a + b, 0) / n;
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (let i = 0; i < n; i++) {
+    covariance += (xs[i] - meanX) * (ys[i] - meanY);
+    varianceX += (xs[i] - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  }
+  return varianceX === 0 || varianceY === 0
+    ? 0
+    : covariance / Math.sqrt(varianceX * varianceY);
+}
+
+/**
+ * Spearman correlation between arrival time and final rank (1 = largest).
+ * Positive values mean early arrivals end up near the top.
+ * @param {Object} trajectories - Result of recorder.trajectories()
+ * @returns {number} - Spearman's rho in [-1, 1]
+ */
+function arrivalRankCorrelation({ elements }) {
+  const present = elements.filter(Boolean);
+  const arrivals = present.map((element) => element.arrival);
+  const finalRanks = averageRanks(
+    present.map((element) => -finalCount(element))
+  );
+  return pearson(averageRanks(arrivals), finalRanks);
+}
+
+/**
+ * Fits each element's growth exponent beta in k_i(t) ~ (t / t_i)^beta by
+ * least squares on log k against log(t / t_i), and compares it with theory
+ * @param {Object} trajectories - Result of recorder.trajectories()
+ * @param {Object} options - Optional settings
+ * @param {number} options.theoreticalExponent - Expected beta (default: 0.5)
+ * @param {number} options.minPoints - Change points needed to fit an element (default: 5)
+ * @param {number} options.minCount - Ignore points below this count, where growth is
+ *   still dominated by noise rather than the asymptotic power law (default: 5)
+ * @returns {Object} - Per-element exponents with their mean and median, and the theoretical value
+ */
+function growthCurveComparison(
+  { elements },
+  { theoreticalExponent = 0.5, minPoints = 5, minCount = 5 } = {}
+) {
+  const fitted = [];
+
+  for (const element of elements) {
+    if (!element) continue;
+
+    // t_i = 0 for the initial population; measure their age from step 1
+    const birth = Math.max(element.arrival, 1);
+    const xs = [];
+    const ys = [];
+    element.times.forEach((time, i) => {
+      if (time > birth && element.counts[i] >= minCount) {
+        xs.push(Math.log(time / birth));
+        ys.push(Math.log(element.counts[i]));
+      }
+    });
+    if (xs.length < minPoints) continue;
+
+    const meanX = xs.reduce((a, b) => a + b, 0) / xs.length;
+    const meanY = ys.reduce((a, b) => a + b, 0) / ys.length;
+    let numerator = 0;
+    let denominator = 0;
+    for (let i = 0; i < xs.length; i++) {
+      numerator += (xs[i] - meanX) * (ys[i] - meanY);
+      denominator += (xs[i] - meanX) ** 2;
+    }
+    if (denominator === 0) continue;
+
+    fitted.push({
+      index: element.index,
+      arrival: element.arrival,
+      exponent: numerator / denominator,
+    });
+  }
+
+  const exponents = fitted.map((f) => f.exponent).sort((a, b) => a - b);
+  return {
+    elements: fitted,
+    meanExponent: exponents.length
+      ? exponents.reduce((a, b) => a + b, 0) / exponents.length
+      : NaN,
+    medianExponent: exponents.length
+      ? exponents[Math.floor(exponents.length / 2)]
+      : NaN,
+    theoreticalExponent,
+  };
+}
+
+/**
+ * Finds how early the eventual leader took the lead for good
+ * @param {Object} trajectories - Result of recorder.trajectories()
+ * @returns {Object} - leader index, stableSince (iteration), fraction of the run, and leaderChanges
+ */
+function leaderStabilization({ times, elements }) {
+  const present = elements.filter(Boolean);
+  let leader = -1;
+  let stableSince = 0;
+  let leaderChanges = 0;
+
+  for (const time of times) {
+    let best = -1;
+    let bestCount = -Infinity;
+    for (const element of present) {
+      if (element.arrival > time) continue;
+      const count = countAt(element, time);
+      if (count > bestCount) {
+        best = element.index;
+        bestCount = count;
+      }
+    }
+
+    if (best !== leader) {
+      if (leader !== -1) leaderChanges++;
+      leader = best;
+      stableSince = time;
+    }
+  }
+
+  const finalTime = times[times.length - 1] || 0;
+  return {
+    leader,
+    stableSince,
+    fraction: finalTime > 0 ? stableSince / finalTime : 0,
+    leaderChanges,
+  };
+}
+
+/**
+ * Print the first-mover advantage analyses of a recorded run
+ * @param {Object} trajectories - Result of recorder.trajectories()
+ * @param {Object} options - Passed to growthCurveComparison
+ */
+function printFirstMoverReport(trajectories, options = {}) {
+  const present = trajectories.elements.filter(Boolean);
+  const stored = present.reduce((sum, e) => sum + e.times.length, 0);
+
+  console.log("\n=== TRAJECTORIES ===");
+  console.log(`Elements: ${present.length.toLocaleString()}`);
+  console.log(`Sampled times: ${trajectories.times.length}`);
+  console.log(`Stored change points: ${stored.toLocaleString()}`);
+
+  console.log("\n=== FIRST-MOVER ADVANTAGE ===");
+  console.log(
+    `Arrival time vs final rank (Spearman): ${arrivalRankCorrelation(
+      trajectories
+    ).toFixed(3)}`
+  );
+
+  const growth = growthCurveComparison(trajectories, options);
+  console.log(
+    `Growth exponent: mean ${growth.meanExponent.toFixed(
+      3
+    )}, median ${growth.medianExponent.toFixed(3)} over ${
+      growth.elements.length
+    } elements (theory ${growth.theoreticalExponent.toFixed(3)})`
+  );
+
+  const { leader, stableSince, fraction, leaderChanges } =
+    leaderStabilization(trajectories);
+  console.log(
+    `Eventual leader: index ${leader}, arrived at step ${
+      trajectories.elements[leader].arrival
+    }, leading since step ${stableSince.toLocaleString()} (${(
+      fraction * 100
+    ).toFixed(1)}% into the run, after ${leaderChanges} lead changes)`
+  );
+}
+
+function main() {
+  const {
+    generatePowerLawPreferential,
+    linearKernel,
+  } = require("./preferential_attachment");
+
+  const rng = rngFromArgs();
+  console.log(`Seed: ${rng.seed}`);
+
+  const steps = 100000;
+  console.log(
+    `\n=== Linear growth: ${steps.toLocaleString()} steps, new element probability 0.1 ===`
+  );
+
+  const recorder = createTrajectoryRecorder();
+  generatePowerLawPreferential(2, 1, steps, 0.1, {
+    rng,
+    kernel: linearKernel,
+    observers: [recorder],
+  });
+
+  // Every step adds one attachment and, with probability p, a new element,
+  // so the total grows as (1 + p) t and k_i(t) ~ (t / t_i)^(1 / (1 + p))
+  printFirstMoverReport(recorder.trajectories(), {
+    theoreticalExponent: 1 / 1.1,
+  });
+}
+
+module.exports = {
+  geometricSchedule,
+  createTrajectoryRecorder,
+  countAt,
+  arrivalRankCorrelation,
+  growthCurveComparison,
+  leaderStabilization,
+  printFirstMoverReport,
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,285 @@
+/**
+ * Languages the tree-sitter backend of the function-length analyzer reads.
+ *
+ * Each entry names the npm package holding the grammar, loads the grammar
+ * from it, lists the file extensions it parses and maps the syntax node types
+ * that are function-like (declarations, methods, constructors, closures,
+ * lambdas and arrow functions) to the kind recorded for them. A kind is a
+ * string or a function of the node, for node types whose kind depends on
+ * where they appear (a Python def inside a class is a method). Names come
+ * from the node's name field, or from the entry's own functionName(node).
+ *
+ * Only node types that carry a body belong in functionTypes: declarations
+ * and prototypes (a C++ function_declarator, a TypeScript function_signature)
+ * would count a function a second time or count one that is not defined.
+ *
+ * classTypes lists the node types of classes, structs, traits and impls. A
+ * function does not count the body of one defined inside it in its exclusive
+ * length.
+ *
+ * Add an entry to LANGUAGES to measure another language; its grammar is only
+ * loaded when a file with one of its extensions is found.
+ */
+
+const path = require("path");
+
+// Fields of an enclosing assignment or declaration that name the value
+const ASSIGNED_NAME_FIELDS = [
+  "name",
+  "left",
+  "key",
+  "property",
+  "pattern",
+  "declarator",
+];
+
+// C++ node types whose name qualifies the functions defined in their body
+const CPP_CLASS_TYPES = [
+  "class_specifier",
+  "struct_specifier",
+  "union_specifier",
+];
+
+/**
+ * Name of a function node: its own name field, or for an anonymous function
+ * the variable, property or key it is assigned to
+ * @param {Object} node - tree-sitter syntax node
+ * @returns {string} - Name, or "(anonymous)"
+ */
+function functionName(node) {
+  const own = node.childForFieldName("name");
+  if (own) return own.text;
+
+  const parent = node.parent;
+  if (parent) {
+    for (const field of ASSIGNED_NAME_FIELDS) {
+      const target = parent.childForFieldName(field);
+      if (target && target.id !== node.id) return target.text;
+    }
+  }
+  return "(anonymous)";
+}
+
+/**
+ * The class, struct or union whose body directly holds a C++ definition
+ */
+function enclosingCppClass(node) {
+  let parent = node.parent;
+  while (parent && parent.type === "template_declaration") {
+    parent = parent.parent;
+  }
+  if (!parent || parent.type !== "field_declaration_list") return null;
+  const owner = parent.parent;
+  return owner && CPP_CLASS_TYPES.includes(owner.type) ? owner : null;
+}
+
+/**
+ * Name of a C or C++ function definition, taken from the function declarator
+ * below any pointer or reference declarators. Out-of-line definitions keep
+ * the qualifiers written in the source (Class::method, Class<T>::method) and
+ * definitions inside a class body are qualified with the classes around
+ * them, so both spell a member the same way.
+ */
+function cppFunctionName(node) {
+  if (node.type === "lambda_expression") return functionName(node);
+
+  let declarator = node.childForFieldName("declarator");
+  while (declarator && declarator.type !== "function_declarator") {
+    declarator = declarator.childForFieldName("declarator");
+  }
+  const name = declarator && declarator.childForFieldName("declarator");
+  if (!name) return "(anonymous)";
+
+  const scopes = [];
+  for (let owner = enclosingCppClass(node); owner; ) {
+    const ownerName = owner.childForFieldName("name");
+    scopes.unshift(ownerName ? ownerName.text : "(anonymous)");
+    owner = enclosingCppClass(owner);
+  }
+  return [...scopes, name.text].join("::");
+}
+
+/**
+ * Kind of a C or C++ function definition: a method when it is defined inside
+ * a class body or its name is qualified. tree-sitter cannot tell a class
+ * scope from a namespace, so qualified free functions count as methods too.
+ */
+function cppFunctionKind(node) {
+  return enclosingCppClass(node) || cppFunctionName(node).includes("::")
+    ? "method"
+    : "function";
+}
+
+/**
+ * Whether a node is a member of a class-like body, looking through the
+ * wrappers (body blocks, decorators) listed
+ * @param {Object} node - tree-sitter syntax node
+ * @param {string[]} containers - Node types of classes, traits or impls
+ * @param {string[]} wrappers - Node types between the member and the container
+ */
+function isMember(node, containers, wrappers) {
+  let parent = node.parent;
+  while (parent && wrappers.includes(parent.type)) parent = parent.parent;
+  return Boolean(parent && containers.includes(parent.type));
+}
+
+const JAVASCRIPT_FUNCTION_TYPES = {
+  function_declaration: "function",
+  generator_function_declaration: "generator",
+  function: "function expression",
+  function_expression: "function expression",
+  generator_function: "generator",
+  arrow_function: "arrow",
+  method_definition: (node) => {
+    const name = node.childForFieldName("name");
+    if (name && name.text === "constructor") return "constructor";
+    const accessor = node.children.find(
+      (child) => child.type === "get" || child.type === "set"
+    );
+    return accessor
+      ? accessor.type === "get"
+        ? "getter"
+        : "setter"
+      : "method";
+  },
+};
+
+const JAVASCRIPT_CLASS_TYPES = [
+  "class_declaration",
+  "abstract_class_declaration",
+  "class",
+];
+
+const LANGUAGES = {
+  cpp: {
+    name: "C++",
+    package: "tree-sitter-cpp",
+    load: () => require("tree-sitter-cpp"),
+    // Prototypes are declarations, not definitions, so headers can be read
+    extensions: [".cpp", ".cxx", ".cc", ".c", ".hpp", ".hxx", ".hh", ".h"],
+    functionTypes: {
+      function_definition: cppFunctionKind,
+      lambda_expression: "lambda",
+    },
+    functionName: cppFunctionName,
+    classTypes: CPP_CLASS_TYPES,
+  },
+  javascript: {
+    name: "JavaScript",
+    package: "tree-sitter-javascript",
+    load: () => require("tree-sitter-javascript"),
+    extensions: [".js", ".jsx", ".mjs", ".cjs"],
+    functionTypes: JAVASCRIPT_FUNCTION_TYPES,
+    classTypes: JAVASCRIPT_CLASS_TYPES,
+  },
+  typescript: {
+    name: "TypeScript",
+    package: "tree-sitter-typescript",
+    load: () => require("tree-sitter-typescript").typescript,
+    extensions: [".ts", ".mts", ".cts"],
+    functionTypes: JAVASCRIPT_FUNCTION_TYPES,
+    classTypes: JAVASCRIPT_CLASS_TYPES,
+  },
+  tsx: {
+    name: "TypeScript",
+    package: "tree-sitter-typescript",
+    load: () => require("tree-sitter-typescript").tsx,
+    extensions: [".tsx"],
+    functionTypes: JAVASCRIPT_FUNCTION_TYPES,
+    classTypes: JAVASCRIPT_CLASS_TYPES,
+  },
+  python: {
+    name: "Python",
+    package: "tree-sitter-python",
+    load: () => require("tree-sitter-python"),
+    extensions: [".py"],
+    functionTypes: {
+      function_definition: (node) =>
+        isMember(node, ["class_definition"], ["block", "decorated_definition"])
+          ? "method"
+          : "function",
+      lambda: "lambda",
+    },
+    classTypes: ["class_definition"],
+  },
+  java: {
+    name: "Java",
+    package: "tree-sitter-java",
+    load: () => require("tree-sitter-java"),
+    extensions: [".java"],
+    functionTypes: {
+      method_declaration: "method",
+      constructor_declaration: "constructor",
+      lambda_expression: "lambda",
+    },
+    // A class_body is also the body of an anonymous class
+    classTypes: [
+      "class_declaration",
+      "interface_declaration",
+      "enum_declaration",
+      "record_declaration",
+      "class_body",
+    ],
+  },
+  go: {
+    name: "Go",
+    package: "tree-sitter-go",
+    load: () => require("tree-sitter-go"),
+    extensions: [".go"],
+    functionTypes: {
+      function_declaration: "function",
+      method_declaration: "method",
+      func_literal: "closure",
+    },
+    classTypes: ["type_declaration"],
+  },
+  rust: {
+    name: "Rust",
+    package: "tree-sitter-rust",
+    load: () => require("tree-sitter-rust"),
+    extensions: [".rs"],
+    functionTypes: {
+      function_item: (node) =>
+        isMember(node, ["impl_item", "trait_item"], ["declaration_list"])
+          ? "method"
+          : "function",
+      closure_expression: "closure",
+    },
+    classTypes: [
+      "struct_item",
+      "enum_item",
+      "union_item",
+      "trait_item",
+      "impl_item",
+    ],
+  },
+};
+
+/**
+ * Every extension some language in the registry reads
+ * @returns {string[]}
+ */
+function treeSitterExtensions() {
+  return Object.values(LANGUAGES).flatMap(({ extensions }) => extensions);
+}
+
+/**
+ * The registry entry that reads a file, by its extension
+ * @param {string} file - File path
+ * @returns {Object|null} - Entry with its id, or null when no language reads it
+ */
+function languageForFile(file) {
+  const extension = path.extname(file);
+  for (const [id, language] of Object.entries(LANGUAGES)) {
+    if (language.extensions.includes(extension)) return { id, ...language };
+  }
+  return null;
+}
+
+module.exports = {
+  LANGUAGES,
+  functionName,
+  cppFunctionName,
+  treeSitterExtensions,
+  languageForFile,
+};
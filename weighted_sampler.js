@@ -0,0 +1,328 @@
+/**
+ * Sub-linear weighted samplers for large preferential attachment runs.
+ *
+ * The reference samplers in preferential_attachment.js rescan the whole
+ * array on every draw. These keep enough structure between draws to make
+ * each draw O(log n) or O(1).
+ */
+
+const { runCheckpointed } = require("./checkpoint");
+
+/**
+ * Creates a sampler backed by a Fenwick (binary indexed) tree.
+ * Supports O(log n) draw, weight update, removal of the last index and
+ * amortised append.
+ * @param {number[]} initialWeights - Starting weights (default: empty)
+ * @returns {Object} - Sampler with sample, update, set, append, pop, weight, total, size
+ *   and getState/setState for checkpoints
+ */
+function createFenwickSampler(initialWeights = []) {
+  let capacity = 1;
+  while (capacity < initialWeights.length) capacity *= 2;
+
+  let weights = new Float64Array(capacity);
+  let tree = new Float64Array(capacity + 1);
+  let size = 0;
+  let totalWeight = 0;
+
+  // Rebuild the tree in O(n) after growing the backing arrays
+  function rebuild(newCapacity) {
+    const newWeights = new Float64Array(newCapacity);
+    newWeights.set(weights.subarray(0, size));
+    weights = newWeights;
+    capacity = newCapacity;
+
+    tree = new Float64Array(capacity + 1);
+    for (let i = 1; i <= capacity; i++) {
+      tree[i] += weights[i - 1];
+      const parent = i + (i & -i);
+      if (parent <= capacity) tree[parent] += tree[i];
+    }
+  }
+
+  function update(index, delta) {
+    weights[index] += delta;
+    totalWeight += delta;
+    for (let i = index + 1; i <= capacity; i += i & -i) {
+      tree[i] += delta;
+    }
+  }
+
+  function set(index, weight) {
+    update(index, weight - weights[index]);
+  }
+
+  function append(weight) {
+    if (size === capacity) rebuild(capacity * 2);
+    size++;
+    update(size - 1, weight);
+    return size - 1;
+  }
+
+  function pop() {
+    if (size === 0) {
+      throw new Error("Cannot pop from an empty sampler");
+    }
+    set(size - 1, 0);
+    size--;
+  }
+
+  function sample(rng = Math.random) {
+    if (size === 0) {
+      throw new Error("Cannot sample from an empty sampler");
+    }
+
+    if (totalWeight <= 0) {
+      // If all weights are 0, select randomly
+      return Math.floor(rng() * size);
+    }
+
+    // Descend the tree to the first index whose prefix sum exceeds r
+    let r = rng() * totalWeight;
+    let position = 0;
+    for (let step = capacity; step > 0; step >>= 1) {
+      const next = position + step;
+      if (next <= capacity && tree[next] <= r) {
+        position = next;
+        r -= tree[next];
+      }
+    }
+
+    // Guard against floating point drift past the last element
+    return Math.min(position, size - 1);
+  }
+
+  // The tree is saved as it is rather than rebuilt, because a rebuild sums
+  // non-integer weights in a different order and can change later draws
+  function getState() {
+    return {
+      capacity,
+      size,
+      totalWeight,
+      weights: Array.from(weights.subarray(0, size)),
+      tree: Array.from(tree),
+    };
+  }
+
+  function setState(state) {
+    capacity = state.capacity;
+    size = state.size;
+    totalWeight = state.totalWeight;
+    weights = new Float64Array(capacity);
+    weights.set(state.weights);
+    tree = Float64Array.from(state.tree);
+    return sampler;
+  }
+
+  for (const weight of initialWeights) {
+    weights[size++] = weight;
+    totalWeight += weight;
+  }
+  rebuild(capacity);
+
+  const sampler = {
+    sample,
+    update,
+    set,
+    append,
+    pop,
+    weight: (index) => weights[index],
+    total: () => totalWeight,
+    size: () => size,
+    getState,
+    setState,
+  };
+  return sampler;
+}
+
+/**
+ * Creates a linear preferential attachment sampler using the "pick a random
+ * prior endpoint" trick: every increment records the index once, so a
+ * uniform draw from the record is proportional to the index's count.
+ * Supports O(1) draw, increment and append; counts must be integers.
+ * @param {number[]} initialCounts - Starting integer counts (default: empty)
+ * @returns {Object} - Sampler with sample, increment, append, count, total, size
+ *   and getState/setState for checkpoints
+ */
+function createEndpointSampler(initialCounts = []) {
+  const counts = [];
+  const endpoints = [];
+
+  function increment(index, amount = 1) {
+    counts[index] += amount;
+    for (let k = 0; k < amount; k++) endpoints.push(index);
+  }
+
+  function append(count = 0) {
+    counts.push(0);
+    increment(counts.length - 1, count);
+    return counts.length - 1;
+  }
+
+  function sample(rng = Math.random) {
+    if (counts.length === 0) {
+      throw new Error("Cannot sample from an empty sampler");
+    }
+
+    if (endpoints.length === 0) {
+      // If all values are 0, select randomly
+      return Math.floor(rng() * counts.length);
+    }
+
+    return endpoints[Math.floor(rng() * endpoints.length)];
+  }
+
+  // Draws depend on the order of the endpoints, so they are saved in full
+  function getState() {
+    return { counts: counts.slice(), endpoints: endpoints.slice() };
+  }
+
+  function setState(state) {
+    counts.length = 0;
+    for (const count of state.counts) counts.push(count);
+    endpoints.length = 0;
+    for (const index of state.endpoints) endpoints.push(index);
+    return sampler;
+  }
+
+  for (const count of initialCounts) append(count);
+
+  const sampler = {
+    sample,
+    increment,
+    append,
+    count: (index) => counts[index],
+    total: () => endpoints.length,
+    size: () => counts.length,
+    getState,
+    setState,
+  };
+  return sampler;
+}
+
+/**
+ * Fast equivalent of preferentialAttachment without progress logging
+ * @param {number} arraySize - Size of the array
+ * @param {number} iterations - Number of samples to collect
+ * @param {Object} options - Optional settings
+ * @param {Function} options.rng - Random number generator (default: Math.random)
+ * @param {string} options.sampler - "fenwick" or "endpoint" (default: "endpoint")
+ * @param {Object} options.checkpoint - { path, interval } for periodic checkpoints (default: none)
+ * @param {string} options.resume - Checkpoint file to continue from (default: none)
+ * @returns {number[]} - Final counts array
+ */
+function preferentialAttachmentFast(
+  arraySize = 10,
+  iterations = 1000,
+  {
+    rng = Math.random,
+    sampler = "endpoint",
+    checkpoint = null,
+    resume = null,
+  } = {}
+) {
+  let createSampler;
+  let increment;
+  if (sampler === "endpoint") {
+    createSampler = createEndpointSampler;
+    increment = (s, index) => s.increment(index);
+  } else if (sampler === "fenwick") {
+    createSampler = createFenwickSampler;
+    increment = (s, index) => s.update(index, 1);
+  } else {
+    throw new Error(`Unknown sampler: ${sampler}`);
+  }
+
+  const { state } = runCheckpointed(
+    iterations,
+    {
+      kind: "preferentialAttachmentFast",
+      parameters: { arraySize, sampler },
+      initialState: () => {
+        const counts = new Array(arraySize).fill(0);
+        return { counts, sampler: createSampler(counts) };
+      },
+      advance: ({ counts, sampler }, step, rng) => {
+        const selectedIndex = sampler.sample(rng);
+        increment(sampler, selectedIndex);
+        counts[selectedIndex]++;
+      },
+      saveState: ({ counts, sampler }) => ({
+        counts,
+        sampler: sampler.getState(),
+      }),
+      loadState: (saved) => ({
+        counts: saved.counts,
+        sampler: createSampler().setState(saved.sampler),
+      }),
+    },
+    { rng, checkpoint, resume }
+  );
+
+  return state.counts;
+}
+
+/**
+ * Fast equivalent of generatePowerLawPreferential using a Fenwick tree
+ * @param {number} alpha - Power law exponent
+ * @param {number} xMin - Minimum value (default: 1)
+ * @param {number} steps - Number of growth steps (default: 1000)
+ * @param {number} newElementProbability - Probability of adding new element (default: 0.1)
+ * @param {Object} options - Optional settings
+ * @param {Function} options.rng - Random number generator (default: Math.random)
+ * @param {Object} options.checkpoint - { path, interval } for periodic checkpoints (default: none)
+ * @param {string} options.resume - Checkpoint file to continue from (default: none)
+ * @returns {number[]} - Complete array of values from the power law distribution
+ */
+function generatePowerLawPreferentialFast(
+  alpha,
+  xMin = 1,
+  steps = 1000,
+  newElementProbability = 0.1,
+  { rng = Math.random, checkpoint = null, resume = null } = {}
+) {
+  const exponent = 1 / (alpha - 1);
+
+  const { state } = runCheckpointed(
+    steps,
+    {
+      kind: "generatePowerLawPreferentialFast",
+      parameters: { alpha, xMin, newElementProbability },
+      initialState: () => {
+        const values = Array(Math.floor(xMin)).fill(1);
+        return { values, sampler: createFenwickSampler(values.map(() => 1)) };
+      },
+      advance: ({ values, sampler }, step, rng) => {
+        if (values.length > 0) {
+          const i = sampler.sample(rng);
+          values[i]++;
+          sampler.set(i, Math.pow(values[i], exponent));
+        }
+
+        // Occasionally add new elements
+        if (rng() < newElementProbability) {
+          values.push(1);
+          sampler.append(1);
+        }
+      },
+      saveState: ({ values, sampler }) => ({
+        values,
+        sampler: sampler.getState(),
+      }),
+      loadState: (saved) => ({
+        values: saved.values,
+        sampler: createFenwickSampler().setState(saved.sampler),
+      }),
+    },
+    { rng, checkpoint, resume }
+  );
+
+  return state.values;
+}
+
+module.exports = {
+  createFenwickSampler,
+  createEndpointSampler,
+  preferentialAttachmentFast,
+  generatePowerLawPreferentialFast,
+};
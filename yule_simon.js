@@ -0,0 +1,185 @@
+/**
+ * Simon's model and the Yule–Simon distribution.
+ *
+ * In Simon's model every step adds one unit: with probability p it founds a
+ * new element, otherwise it joins an existing element chosen in proportion
+ * to its size. The sizes converge to the Yule–Simon distribution with
+ * rho = 1 / (1 - p),
+ *
+ *   P(k) = rho B(k, rho + 1),  k >= 1,
+ *
+ * whose tail falls as k^-(1 + rho), so the power-law exponent is
+ * 1 + 1 / (1 - p).
+ */
+
+const { rngFromArgs } = require("./random");
+const { logGamma } = require("./numerics");
+const { createEndpointSampler } = require("./weighted_sampler");
+const { fitPowerLaw } = require("./power_law_fit");
+const { goodnessOfFit } = require("./iteration_distribution");
+
+function logBeta(a, b) {
+  return logGamma(a) + logGamma(b) - logGamma(a + b);
+}
+
+/**
+ * Simulates Simon's model
+ * @param {number} p - Probability that a step founds a new element
+ * @param {number} steps - Number of units added after the first element
+ * @param {Object} options - Optional settings
+ * @param {Function} options.rng - Random number generator (default: Math.random)
+ * @returns {number[]} - Final size of every element, in order of founding
+ */
+function simulateYuleSimon(p, steps = 100000, { rng = Math.random } = {}) {
+  if (!(p > 0 && p < 1)) {
+    throw new RangeError(`p must be between 0 and 1, got ${p}`);
+  }
+
+  // Each unit is one endpoint, so a uniform unit picks an element by size
+  const sampler = createEndpointSampler([1]);
+  for (let step = 0; step < steps; step++) {
+    if (rng() < p) {
+      sampler.append(1);
+    } else {
+      sampler.increment(sampler.sample(rng));
+    }
+  }
+
+  const counts = [];
+  for (let i = 0; i < sampler.size(); i++) counts.push(sampler.count(i));
+  return counts;
+}
+
+/**
+ * Exact Yule–Simon distribution for Simon's model with founding probability p
+ * @param {number} p - Probability that a step founds a new element
+ * @returns {Object} - rho, exponent, pmf(k) and ccdf(k) = P(K >= k)
+ */
+function yuleSimonDistribution(p) {
+  if (!(p > 0 && p < 1)) {
+    throw new RangeError(`p must be between 0 and 1, got ${p}`);
+  }
+  const rho = 1 / (1 - p);
+
+  return {
+    p,
+    rho,
+    exponent: 1 + rho,
+    pmf: (k) =>
+      k >= 1 && Number.isInteger(k) ? rho * Math.exp(logBeta(k, rho + 1)) : 0,
+    // P(K >= k) = (k - 1) B(k - 1, rho + 1)
+    ccdf: (k) => (k <= 1 ? 1 : (k - 1) * Math.exp(logBeta(k - 1, rho + 1))),
+  };
+}
+
+/**
+ * Compares simulated sizes with the Yule–Simon theory: fitted against
+ * analytic exponent, chi-square and G-tests against the PMF, and the
+ * empirical against the exact CCDF at a few sizes. The theory is the
+ * stationary distribution: the oldest elements are still far above it after
+ * any finite number of steps, so the largest sizes converge last.
+ * @param {number[]} counts - Element sizes, e.g. from simulateYuleSimon
+ * @param {number} p - Founding probability used in the simulation
+ * @returns {Object} - theory, fit, exponentDeviation (in standard errors), goodness and ccdf rows
+ */
+function yuleSimonComparison(counts, p) {
+  const theory = yuleSimonDistribution(p);
+  const fit = fitPowerLaw(counts);
+  const largest = counts.reduce((a, b) => Math.max(a, b), 0);
+
+  // PMF over the observed range, with the tail beyond it in the last entry
+  const pmf = [0];
+  for (let k = 1; k < largest; k++) pmf.push(theory.pmf(k));
+  pmf.push(theory.ccdf(largest));
+
+  const histogram = new Map();
+  counts.forEach((k) => histogram.set(k, (histogram.get(k) || 0) + 1));
+
+  const ccdf = [];
+  for (let k = 1; k <= largest; k *= 10) {
+    const atLeast = counts.filter((count) => count >= k).length;
+    ccdf.push({
+      size: k,
+      empirical: atLeast / counts.length,
+      theoretical: theory.ccdf(k),
+    });
+  }
+
+  return {
+    theory,
+    fit,
+    exponentDeviation: (fit.alpha - theory.exponent) / fit.sigma,
+    goodness: goodnessOfFit(histogram, { pmf }),
+    ccdf,
+  };
+}
+
+/**
+ * Print a yuleSimonComparison
+ * @param {Object} comparison - Result of yuleSimonComparison
+ * @param {string} label - Heading for the printed block
+ */
+function printYuleSimonReport(
+  { theory, fit, exponentDeviation, goodness, ccdf },
+  label
+) {
+  console.log(`\n=== ${label} ===`);
+  console.log(
+    `Exponent: fitted ${fit.alpha.toFixed(3)} ± ${fit.sigma.toFixed(3)} (xmin ${
+      fit.xmin
+    }, tail ${fit.nTail}), theory 1 + 1/(1-p) = ${theory.exponent.toFixed(
+      3
+    )} (${exponentDeviation.toFixed(2)} standard errors)`
+  );
+  console.log(
+    `Yule–Simon PMF (rho ${theory.rho.toFixed(
+      3
+    )}): chi-square ${goodness.chiSquare.statistic.toFixed(
+      2
+    )} (p = ${goodness.chiSquare.pValue.toFixed(
+      4
+    )}), G ${goodness.gTest.statistic.toFixed(
+      2
+    )} (p = ${goodness.gTest.pValue.toFixed(4)}), ${
+      goodness.degreesOfFreedom
+    } df`
+  );
+  console.log(
+    `${"Size k".padStart(8)} ${"P(K>=k) sim".padStart(12)} ${"theory".padStart(
+      12
+    )}`
+  );
+  for (const { size, empirical, theoretical } of ccdf) {
+    console.log(
+      `${size.toLocaleString().padStart(8)} ${empirical
+        .toExponential(3)
+        .padStart(12)} ${theoretical.toExponential(3).padStart(12)}`
+    );
+  }
+}
+
+function main() {
+  const rng = rngFromArgs();
+  console.log(`Seed: ${rng.seed}`);
+
+  for (const p of [0.1, 0.3, 0.5]) {
+    for (const steps of [100000, 1000000]) {
+      const counts = simulateYuleSimon(p, steps, { rng });
+      printYuleSimonReport(
+        yuleSimonComparison(counts, p),
+        `Simon's model p = ${p}, ${steps.toLocaleString()} steps, ${counts.length.toLocaleString()} elements`
+      );
+    }
+  }
+}
+
+module.exports = {
+  simulateYuleSimon,
+  yuleSimonDistribution,
+  yuleSimonComparison,
+  printYuleSimonReport,
+};
+
+if (require.main === module) {
+  main();
+}